@@ -1,5 +1,13 @@
 // Analyze a WAV file for loopability and suggest loop points after ~1s.
-// No external deps; supports PCM 16-bit and float32 WAV.
+// No external deps; reads PCM (8-bit unsigned, 16/24/32-bit) and IEEE float (32/64-bit) WAV,
+// plain or WAVE_FORMAT_EXTENSIBLE, and writes the same depth back (or --format) with the loop
+// marked in smpl and cue chunks.
+// Flags: --target-sec N (prefer a loop about N seconds long), --write (export rain_loop.wav),
+// --crossfade-ms N (blend the seam over N ms when writing),
+// --bpm N with --bars N / --beats N (keep the loop length on the tempo grid, see readTempoGrid),
+// --top N (show the N best of the candidate loops), --json (machine-readable report on stdout),
+// --match spectral (compare spectral envelopes instead of waveforms, for noisy textures),
+// --format 16|24|32f|... (output sample format; default keeps the source's).
 
 const fs = require('fs');
 const path = require('path');
@@ -7,6 +15,12 @@ const path = require('path');
 function readUInt32LE(buf, off) { return buf.readUInt32LE(off); }
 function readUInt16LE(buf, off) { return buf.readUInt16LE(off); }
 
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+// KSDATAFORMAT_SUBTYPE_* GUIDs share everything after the leading format code
+const SUBFORMAT_GUID_TAIL = Buffer.from([0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa, 0x00, 0x38, 0x9b, 0x71]);
+
 function parseWav(filePath) {
   const buf = fs.readFileSync(filePath);
   if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
@@ -24,16 +38,22 @@ function parseWav(filePath) {
     const size = readUInt32LE(buf, off + 4);
     const chunkStart = off + 8;
     if (id === 'fmt ') {
-      const audioFormat = readUInt16LE(buf, chunkStart);
+      let audioFormat = readUInt16LE(buf, chunkStart);
       const numChannels = readUInt16LE(buf, chunkStart + 2);
       const sampleRate = readUInt32LE(buf, chunkStart + 4);
       const byteRate = readUInt32LE(buf, chunkStart + 8);
       const blockAlign = readUInt16LE(buf, chunkStart + 12);
       const bitsPerSample = readUInt16LE(buf, chunkStart + 14);
+      if (audioFormat === WAVE_FORMAT_EXTENSIBLE) {
+        // cbSize, wValidBitsPerSample, dwChannelMask, then the SubFormat GUID whose first
+        // two bytes are the real format code
+        if (size < 40) throw new Error('Truncated WAVE_FORMAT_EXTENSIBLE fmt chunk');
+        audioFormat = readUInt16LE(buf, chunkStart + 24);
+      }
       fmt = { audioFormat, numChannels, sampleRate, byteRate, blockAlign, bitsPerSample };
     } else if (id === 'data') {
       dataOffset = chunkStart;
-      dataSize = size;
+      dataSize = Math.min(size, buf.length - chunkStart); // tolerate a truncated last chunk
     }
     off = chunkStart + size + (size % 2); // align to even
   }
@@ -41,12 +61,13 @@ function parseWav(filePath) {
   if (!fmt) throw new Error('Missing fmt chunk');
   if (dataOffset < 0) throw new Error('Missing data chunk');
 
-  // Only handle PCM 1 (integer) and 3 (IEEE float)
-  if (fmt.audioFormat !== 1 && fmt.audioFormat !== 3) {
-    throw new Error('Unsupported WAV format (need PCM 16-bit or float32)');
+  // Only handle PCM 1 (integer) and 3 (IEEE float), directly or via WAVE_FORMAT_EXTENSIBLE
+  if (fmt.audioFormat !== WAVE_FORMAT_PCM && fmt.audioFormat !== WAVE_FORMAT_IEEE_FLOAT) {
+    throw new Error('Unsupported WAV format 0x' + fmt.audioFormat.toString(16) + ' (need PCM or IEEE float)');
   }
 
-  const bytesPerSample = fmt.bitsPerSample / 8;
+  // samples sit in containers of blockAlign / channels bytes (24-bit audio may use 4)
+  const bytesPerSample = fmt.blockAlign && fmt.numChannels ? fmt.blockAlign / fmt.numChannels : fmt.bitsPerSample / 8;
   const frameCount = Math.floor(dataSize / (bytesPerSample * fmt.numChannels));
   const channelsData = Array.from({ length: fmt.numChannels }, () => new Float32Array(frameCount));
 
@@ -54,27 +75,31 @@ function parseWav(filePath) {
   for (let i = 0; i < frameCount; i++) {
     for (let ch = 0; ch < fmt.numChannels; ch++) {
       let v;
-      if (fmt.audioFormat === 1) {
-        // PCM integer
-        if (fmt.bitsPerSample === 16) {
-          v = buf.readInt16LE(p) / 32768; p += 2;
-        } else if (fmt.bitsPerSample === 24) {
+      if (fmt.audioFormat === WAVE_FORMAT_PCM) {
+        // PCM integer; 8-bit is unsigned with 128 as silence
+        if (bytesPerSample === 1) {
+          v = (buf[p] - 128) / 128;
+        } else if (bytesPerSample === 2) {
+          v = buf.readInt16LE(p) / 32768;
+        } else if (bytesPerSample === 3) {
           const b0 = buf[p];
           const b1 = buf[p + 1];
           const b2 = buf[p + 2];
           let val = b0 | (b1 << 8) | (b2 << 16);
           if (val & 0x800000) val |= ~0xffffff; // sign extend
-          v = val / 8388608; p += 3; // 2^23
-        } else if (fmt.bitsPerSample === 32) {
-          v = buf.readInt32LE(p) / 2147483648; p += 4;
+          v = val / 8388608; // 2^23
+        } else if (bytesPerSample === 4) {
+          v = buf.readInt32LE(p) / 2147483648;
         } else {
           throw new Error('Unsupported PCM bits per sample: ' + fmt.bitsPerSample);
         }
-      } else if (fmt.audioFormat === 3) {
+      } else {
         // IEEE float
-        if (fmt.bitsPerSample !== 32) throw new Error('Unsupported float bit depth: ' + fmt.bitsPerSample);
-        v = buf.readFloatLE(p); p += 4;
+        if (bytesPerSample === 4) v = buf.readFloatLE(p);
+        else if (bytesPerSample === 8) v = buf.readDoubleLE(p);
+        else throw new Error('Unsupported float bit depth: ' + fmt.bitsPerSample);
       }
+      p += bytesPerSample;
       channelsData[ch][i] = v;
     }
   }
@@ -83,6 +108,7 @@ function parseWav(filePath) {
     sampleRate: fmt.sampleRate,
     channels: fmt.numChannels,
     bitsPerSample: fmt.bitsPerSample,
+    float: fmt.audioFormat === WAVE_FORMAT_IEEE_FLOAT,
     frames: frameCount,
     channelsData,
   };
@@ -134,10 +160,20 @@ function ncc(template, signal, pos) {
   return denom > 0 ? (sumTS / denom) : 0;
 }
 
-function findBestMatchAfter(signal, sr, startIdx, opts = {}) {
+// Coarse peaks refined and ranked on every run, whatever --top asks for, so the best loop
+// (and what --write exports) never depends on how many candidates are shown
+const CANDIDATE_POOL = 10;
+
+// Best-correlated loop ends after startIdx: the opts.count (default 1) highest peaks of the
+// coarse correlation, at least opts.minSeparationSec apart, best first
+function findMatchesAfter(signal, sr, startIdx, opts = {}) {
   const minLoopSec = opts.minLoopSec ?? 2.0;
   const maxSearchSec = opts.maxSearchSec ?? 60.0; // avoid scanning extremely long files
   const templateSec = opts.templateSec ?? 0.5;
+  const count = Math.max(1, opts.count ?? 1);
+  const minSeparationSec = opts.minSeparationSec ?? 0.25;
+  // Tempo grid: only loop lengths within toleranceSamples of one of opts.lengths (samples)
+  const lengths = opts.lengths || null;
 
   // Decimate for performance to around target rate
   const targetRate = 11025;
@@ -153,30 +189,237 @@ function findBestMatchAfter(signal, sr, startIdx, opts = {}) {
 
   const searchStart = Math.min(ds.length - w - 1, sd + Math.floor(minLoopSec * dsr));
   const searchEnd = Math.min(ds.length - w - 1, sd + Math.floor(maxSearchSec * dsr));
+  const tol = Math.max(1, (opts.toleranceSamples ?? 0) / factor);
+  const onGrid = (pos) => !lengths || lengths.some(len => Math.abs(pos - sd - len / factor) <= tol);
 
-  let bestPos = -1;
-  let bestCorr = -1;
+  const corr = new Float32Array(Math.max(0, searchEnd - searchStart + 1)).fill(-Infinity);
   for (let pos = searchStart; pos <= searchEnd; pos++) {
-    const c = ncc(template, ds, pos);
+    if (!onGrid(pos)) continue;
+    corr[pos - searchStart] = ncc(template, ds, pos);
+  }
+
+  const matches = pickPeaks(corr, count, minSeparationSec * dsr)
+    .map(i => ({ pos: (i + searchStart) * factor, corr: corr[i] }));
+  if (!matches.length) throw new Error(lengths ? 'No loop length on the tempo grid fits in the file' : 'No match found');
+  return { matches, factor };
+}
+
+// Indices of the local maxima of scores (-Infinity = not a candidate), strongest first,
+// skipping any closer than minGap to one already taken
+function pickPeaks(scores, count, minGap) {
+  const peaks = [];
+  for (let i = 0; i < scores.length; i++) {
+    const c = scores[i];
+    if (c === -Infinity) continue;
+    if ((i > 0 && scores[i - 1] > c) || (i < scores.length - 1 && scores[i + 1] >= c)) continue;
+    peaks.push(i);
+  }
+  peaks.sort((a, b) => scores[b] - scores[a]);
+  const picked = [];
+  for (const i of peaks) {
+    if (picked.some(j => Math.abs(j - i) < minGap)) continue;
+    picked.push(i);
+    if (picked.length >= count) break;
+  }
+  return picked;
+}
+
+// --- Spectral matching (--match spectral) ---
+// Broadband textures (rain, wind, crowds) never repeat as a waveform, so instead of waveform
+// correlation compare log-mel spectral envelopes over a window centred on each seam: the
+// frames around a candidate end should look like the frames around the start.
+
+const SPECTRAL_HOP_SEC = 0.0116; // ~512 samples at 44.1 kHz
+const SPECTRAL_FRAME_SEC = 0.046; // rounded up to a power of two (2048 at 44.1 kHz)
+const MEL_BANDS = 24;
+
+// In-place radix-2 FFT over re/im (length a power of two)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+        const ncr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = ncr;
+      }
+    }
+  }
+}
+
+// Triangular mel filters over the bins of an n-point FFT: [{ from, to, weights }]
+function melFilterbank(n, sr, bands) {
+  const toMel = (f) => 2595 * Math.log10(1 + f / 700);
+  const fromMel = (m) => 700 * (10 ** (m / 2595) - 1);
+  const maxMel = toMel(sr / 2);
+  const edges = Array.from({ length: bands + 2 }, (_, i) => Math.floor((fromMel((maxMel * i) / (bands + 1)) / sr) * n));
+  return Array.from({ length: bands }, (_, b) => {
+    const lo = edges[b];
+    const mid = Math.max(edges[b + 1], lo + 1);
+    const hi = Math.max(edges[b + 2], mid + 1);
+    const weights = [];
+    for (let k = lo; k < hi; k++) weights.push(k < mid ? (k - lo) / (mid - lo) : (hi - k) / (hi - mid));
+    return { from: lo, weights };
+  });
+}
+
+// Log-mel analysis of a signal: frame(pos) returns the band energies (log) of the frame
+// starting at sample pos, each band offset by its mean over the file so patches compare
+// by shape rather than overall level
+function createSpectralAnalyzer(signal, sr) {
+  const hop = Math.max(1, Math.round(SPECTRAL_HOP_SEC * sr));
+  let size = 1;
+  while (size < SPECTRAL_FRAME_SEC * sr) size <<= 1;
+  const filters = melFilterbank(size, sr, MEL_BANDS);
+  const window = Float32Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size));
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+
+  const rawFrame = (pos) => {
+    for (let i = 0; i < size; i++) {
+      const idx = pos + i;
+      re[i] = idx >= 0 && idx < signal.length ? signal[idx] * window[i] : 0;
+      im[i] = 0;
+    }
+    fft(re, im);
+    return Float32Array.from(filters, ({ from, weights }) => {
+      let e = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const bin = from + k;
+        e += weights[k] * (re[bin] * re[bin] + im[bin] * im[bin]);
+      }
+      return Math.log(e + 1e-10);
+    });
+  };
+
+  // per-band mean over a sparse pass through the file
+  const mean = new Float32Array(MEL_BANDS);
+  let counted = 0;
+  for (let pos = 0; pos + size <= signal.length; pos += hop * 8) {
+    const f = rawFrame(pos);
+    for (let b = 0; b < MEL_BANDS; b++) mean[b] += f[b];
+    counted++;
+  }
+  if (counted) for (let b = 0; b < MEL_BANDS; b++) mean[b] /= counted;
+
+  const frame = (pos) => {
+    const f = rawFrame(pos);
+    for (let b = 0; b < MEL_BANDS; b++) f[b] -= mean[b];
+    return f;
+  };
+  return { hop, size, frame };
+}
+
+// Similarity (-1..1) of two patches (lists of frames), as NCC over all their values
+function patchSimilarity(a, b) {
+  let ab = 0, aa = 0, bb = 0;
+  for (let j = 0; j < a.length; j++) {
+    for (let k = 0; k < a[j].length; k++) {
+      ab += a[j][k] * b[j][k];
+      aa += a[j][k] * a[j][k];
+      bb += b[j][k] * b[j][k];
+    }
+  }
+  const denom = Math.sqrt(aa * bb);
+  return denom > 0 ? ab / denom : 0;
+}
+
+// Frames of the patch centred on a seam at sample `seam`, spanning templateSec
+function seamPatch(analyzer, seam, frameCount, cache) {
+  const first = seam - Math.round((frameCount * analyzer.hop + analyzer.size) / 2);
+  return Array.from({ length: frameCount }, (_, j) => {
+    const pos = first + j * analyzer.hop;
+    if (!cache) return analyzer.frame(pos);
+    if (!cache.has(pos)) cache.set(pos, analyzer.frame(pos));
+    return cache.get(pos);
+  });
+}
+
+// findMatchesAfter with spectral patches in place of waveform NCC; candidates are stepped
+// one hop apart, so every candidate patch reuses frames computed for its neighbours
+function findSpectralMatchesAfter(signal, sr, startIdx, opts = {}) {
+  const minLoopSec = opts.minLoopSec ?? 2.0;
+  const maxSearchSec = opts.maxSearchSec ?? 60.0;
+  const templateSec = opts.templateSec ?? 0.5;
+  const count = Math.max(1, opts.count ?? 1);
+  const minSeparationSec = opts.minSeparationSec ?? 0.25;
+  const lengths = opts.lengths || null;
+
+  const analyzer = opts.analyzer || createSpectralAnalyzer(signal, sr);
+  const { hop } = analyzer;
+  const frameCount = Math.max(2, Math.round(templateSec * sr / hop));
+  const cache = new Map();
+  const template = seamPatch(analyzer, startIdx, frameCount, cache);
+
+  const halfPatch = Math.round((frameCount * hop + analyzer.size) / 2);
+  const first = Math.ceil((minLoopSec * sr) / hop);
+  const last = Math.floor(Math.min(maxSearchSec * sr, signal.length - startIdx - halfPatch) / hop);
+  if (last < first) throw new Error('Audio too short after start');
+  const tol = Math.max(hop / 2, opts.toleranceSamples ?? 0);
+  const onGrid = (len) => !lengths || lengths.some(l => Math.abs(len - l) <= tol);
+
+  const scores = new Float32Array(last - first + 1).fill(-Infinity);
+  for (let m = first; m <= last; m++) {
+    if (!onGrid(m * hop)) continue;
+    scores[m - first] = patchSimilarity(template, seamPatch(analyzer, startIdx + m * hop, frameCount, cache));
+  }
+  const matches = pickPeaks(scores, count, (minSeparationSec * sr) / hop)
+    .map(i => ({ pos: startIdx + (i + first) * hop, corr: scores[i] }));
+  if (!matches.length) throw new Error(lengths ? 'No loop length on the tempo grid fits in the file' : 'No match found');
+  return { matches, factor: 1, analyzer };
+}
+
+// refineBoundary for spectral mode: slide the seam within one hop either side, in steps of
+// 1/16 hop, keeping the position whose patch best matches the one at the start
+function refineSpectralBoundary(signal, aStart, bEnd, sr, analyzer, bounds = {}, templateSec = 0.5) {
+  const { hop } = analyzer;
+  const frameCount = Math.max(2, Math.round(templateSec * sr / hop));
+  const template = seamPatch(analyzer, aStart, frameCount);
+  const step = Math.max(1, Math.round(hop / 16));
+  const start = Math.max(bEnd - hop, bounds.minEnd ?? -Infinity);
+  const end = Math.min(bEnd + hop, bounds.maxEnd ?? Infinity);
+  let bestEnd = bEnd;
+  let bestCorr = -1;
+  for (let pos = start; pos <= end; pos += step) {
+    const c = patchSimilarity(template, seamPatch(analyzer, pos, frameCount));
     if (c > bestCorr) {
       bestCorr = c;
-      bestPos = pos;
+      bestEnd = pos;
     }
   }
-  if (bestPos < 0) throw new Error('No match found');
-  return { bestPos: bestPos * factor, bestCorr, factor };
+  return { end: bestEnd, corr: bestCorr };
 }
 
-function refineBoundary(signal, aStart, bEnd, sr) {
-  // Refine loop boundary by maximizing NCC in a small neighborhood at full rate
+function refineBoundary(signal, aStart, bEnd, sr, bounds = {}) {
+  // Refine loop boundary by maximizing NCC in a small neighborhood at full rate;
+  // bounds.minEnd / bounds.maxEnd keep it on the tempo grid
   const windowSec = 0.25; // 250ms
   const w = Math.max(64, Math.floor(windowSec * sr));
   const template = signal.subarray(aStart, Math.min(aStart + w, signal.length));
   let bestEnd = bEnd;
   let bestCorr = -1;
   const span = Math.floor(0.15 * sr); // +/-150ms
-  const start = Math.max(aStart + w + 1, bEnd - span);
-  const end = Math.min(signal.length - 1 - w, bEnd + span);
+  const start = Math.max(aStart + w + 1, bEnd - span, bounds.minEnd ?? -Infinity);
+  const end = Math.min(signal.length - 1 - w, bEnd + span, bounds.maxEnd ?? Infinity);
   for (let pos = start; pos <= end; pos++) {
     const segStart = pos - w;
     const c = ncc(template, signal, segStart);
@@ -205,50 +448,279 @@ function findNearestZeroCrossing(x, idx, window) {
   return best;
 }
 
+// Size of the jump at the loop seam: how far the first frame lands from where the last two
+// frames were heading (linear extrapolation), against the same measure inside the loop.
+// ratio ~1 means the seam is no rougher than the material itself.
+function seamDiscontinuity(channelsData) {
+  let jump = 0;
+  let typicalSum = 0;
+  let count = 0;
+  for (const ch of channelsData) {
+    const n = ch.length;
+    if (n < 3) continue;
+    jump = Math.max(jump, Math.abs(ch[0] - (2 * ch[n - 1] - ch[n - 2])));
+    for (let i = 2; i < n; i++) {
+      typicalSum += Math.abs(ch[i] - (2 * ch[i - 1] - ch[i - 2]));
+      count++;
+    }
+  }
+  const typical = count ? typicalSum / count : 0;
+  return { jump, typical, ratio: typical > 0 ? jump / typical : 0 };
+}
+
+// Cut start..end and blend the last xfadeLen frames into the frames just before start
+// (equal-power), so playback running off the end arrives at start as if it never jumped.
+// Needs xfadeLen frames of lead-in before start; the crossfade is shortened otherwise.
+function crossfadeLoop(channelsData, start, end, xfadeLen) {
+  const len = Math.min(xfadeLen, start, end - start);
+  return channelsData.map((ch) => {
+    const out = ch.slice(start, end);
+    const n = out.length;
+    for (let k = 0; k < len; k++) {
+      const t = (k + 1) / len;
+      const fadeOut = Math.cos(t * Math.PI / 2);
+      const fadeIn = Math.sin(t * Math.PI / 2);
+      out[n - len + k] = ch[end - len + k] * fadeOut + ch[start - len + k] * fadeIn;
+    }
+    return out;
+  });
+}
+
+function fmtSeam(seam) {
+  const db = seam.jump > 0 ? (20 * Math.log10(seam.jump)).toFixed(1) + ' dBFS' : '-inf dBFS';
+  return `${seam.jump.toFixed(5)} (${db}, ${seam.ratio.toFixed(2)}x typical)`;
+}
+
+// Refine one coarse match at full rate and snap it to zero-crossings. analyzer is set in
+// spectral mode (see createSpectralAnalyzer) and switches the refinement to spectral patches.
+// Returns { endRaw, start, end, corrCoarse, corrRefined, gridLen, seam } (sample indices).
+function resolveCandidate(analyzed, channelsData, sampleRate, startIdx, match, grid, analyzer) {
+  // Refine at full rate (within tolerance of the nearest grid length, if any)
+  const gridLen = grid ? nearestLength(grid.lengths, match.pos - startIdx) : null;
+  const bounds = grid
+    ? { minEnd: startIdx + gridLen - grid.toleranceSamples, maxEnd: startIdx + gridLen + grid.toleranceSamples }
+    : {};
+  const refined = analyzer
+    ? refineSpectralBoundary(analyzed, startIdx, match.pos, sampleRate, analyzer, bounds)
+    : refineBoundary(analyzed, startIdx, match.pos, sampleRate, bounds);
+  const endIdx = refined.end;
+
+  // Snap both boundaries to nearest matching zero-crossings; on a tempo grid the end moves
+  // with the start and only as far as the tolerance allows, so the length stays on the grid
+  const zWin = Math.floor(0.05 * sampleRate); // 50ms search window
+  const startZ = findNearestZeroCrossing(analyzed, startIdx, zWin);
+  let endZ;
+  if (grid) {
+    const slack = Math.max(1, grid.toleranceSamples - Math.abs(endIdx - startIdx - gridLen));
+    endZ = findNearestZeroCrossing(analyzed, endIdx + (startZ - startIdx), slack);
+  } else {
+    endZ = findNearestZeroCrossing(analyzed, endIdx, zWin);
+  }
+
+  return {
+    endRaw: endIdx,
+    start: startZ,
+    end: endZ,
+    corrCoarse: match.corr,
+    corrRefined: refined.corr,
+    gridLen,
+    seam: seamDiscontinuity(channelsData.map(ch => ch.subarray(startZ, endZ))),
+  };
+}
+
+// One candidate for --json: positions in samples and seconds, correlations, seam score
+function candidateJson(c, rank, sampleRate, grid) {
+  const at = (samples) => ({ samples, seconds: samples / sampleRate });
+  return {
+    rank,
+    start: at(c.start),
+    end: at(c.end),
+    length: at(c.end - c.start),
+    corrCoarse: c.corrCoarse,
+    corrRefined: c.corrRefined,
+    seam: { jump: c.seam.jump, ratio: c.seam.ratio },
+    ...(grid ? { grid: { length: at(c.gridLen), label: grid.describe(c.gridLen) } } : {}),
+  };
+}
+
+// Loop lengths (samples) allowed by --bpm / --bars / --beats / --beats-per-bar / --tolerance-ms,
+// shortest first; null without --bpm
+function readTempoGrid(sampleRate, opts, availableSec) {
+  const bpm = parseFloat(readArg('--bpm') ?? process.env.BPM);
+  if (!Number.isFinite(bpm) || bpm <= 0) return null;
+  const beatsPerBar = parseInt(readArg('--beats-per-bar') ?? '4', 10) || 4;
+  const toleranceMs = parseFloat(readArg('--tolerance-ms') ?? '10');
+  const bars = parseInt(readArg('--bars'), 10);
+  const beats = parseInt(readArg('--beats'), 10);
+  const beatSamples = (60 / bpm) * sampleRate;
+  const barSamples = beatSamples * beatsPerBar;
+  let lengths;
+  if (bars > 0) lengths = [bars * barSamples];
+  else if (beats > 0) lengths = [beats * beatSamples];
+  else {
+    lengths = [];
+    for (let k = 1; k * barSamples <= availableSec * sampleRate; k++) {
+      if (k * barSamples >= opts.minLoopSec * sampleRate) lengths.push(k * barSamples);
+    }
+    if (!lengths.length) throw new Error(`No whole bar at ${bpm} BPM fits in the file`);
+  }
+  lengths = lengths.map(Math.round);
+  return {
+    bpm,
+    lengths,
+    toleranceSamples: Math.max(1, Math.round(((Number.isFinite(toleranceMs) ? toleranceMs : 10) / 1000) * sampleRate)),
+    describe(len) {
+      const beatCount = Math.round(len / beatSamples);
+      const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+      return beatCount % beatsPerBar === 0 ? plural(beatCount / beatsPerBar, 'bar') : plural(beatCount, 'beat');
+    },
+  };
+}
+
+function nearestLength(lengths, len) {
+  return lengths.reduce((best, l) => (Math.abs(l - len) < Math.abs(best - len) ? l : best), lengths[0]);
+}
+
+// Value following a command-line flag, e.g. readArg('--target-sec') for '--target-sec 12'
+function readArg(name) {
+  for (let i = 0; i < process.argv.length - 1; i++) {
+    if (process.argv[i] === name) return process.argv[i + 1];
+  }
+  return null;
+}
+
 function fmtTime(samples, sr) {
   const sec = samples / sr;
   return `${sec.toFixed(6)}s`;
 }
 
-function writeWav16(filePath, channelsData, sampleRate) {
+// Output sample formats for --format; 'source' keeps the input's
+const WAV_FORMATS = {
+  8: { bits: 8, float: false },
+  16: { bits: 16, float: false },
+  24: { bits: 24, float: false },
+  32: { bits: 32, float: false },
+  '32f': { bits: 32, float: true },
+  '64f': { bits: 64, float: true },
+};
+
+function describeFormat({ bits, float }) {
+  return float ? `${bits}-bit float` : `${bits}-bit PCM`;
+}
+
+function encodeSample(buf, o, v, { bits, float }) {
+  if (float) {
+    if (bits === 64) buf.writeDoubleLE(v, o);
+    else buf.writeFloatLE(v, o);
+    return;
+  }
+  // same 2^(bits-1) scale parseWav divides by, so a re-export at the source depth is bit-exact
+  const full = 2 ** (bits - 1);
+  const q = Math.max(-full, Math.min(full - 1, Math.round(v * full)));
+  if (bits === 8) buf[o] = q + 128; // unsigned, 128 = silence
+  else if (bits === 16) buf.writeInt16LE(q, o);
+  else if (bits === 24) buf.writeIntLE(q, o, 3);
+  else buf.writeInt32LE(q, o);
+}
+
+function chunk(id, body) {
+  const head = Buffer.alloc(8);
+  head.write(id, 0, 'ascii');
+  head.writeUInt32LE(body.length, 4);
+  return body.length % 2 ? Buffer.concat([head, body, Buffer.alloc(1)]) : Buffer.concat([head, body]);
+}
+
+// fmt body: plain PCM up to 16-bit stereo, IEEE float with cbSize 0, and
+// WAVE_FORMAT_EXTENSIBLE for deeper or wider PCM, as the format spec asks
+function fmtChunk(numChannels, sampleRate, { bits, float }) {
+  const blockAlign = numChannels * (bits / 8);
+  const extensible = !float && (bits > 16 || numChannels > 2);
+  const body = Buffer.alloc(extensible ? 40 : float ? 18 : 16);
+  body.writeUInt16LE(extensible ? WAVE_FORMAT_EXTENSIBLE : float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, 0);
+  body.writeUInt16LE(numChannels, 2);
+  body.writeUInt32LE(sampleRate, 4);
+  body.writeUInt32LE(sampleRate * blockAlign, 8);
+  body.writeUInt16LE(blockAlign, 12);
+  body.writeUInt16LE(bits, 14);
+  if (extensible) {
+    body.writeUInt16LE(22, 16); // cbSize
+    body.writeUInt16LE(bits, 18); // valid bits
+    body.writeUInt32LE(numChannels === 1 ? 0x4 : numChannels === 2 ? 0x3 : 0, 20); // speaker mask
+    body.writeUInt16LE(WAVE_FORMAT_PCM, 24);
+    SUBFORMAT_GUID_TAIL.copy(body, 26);
+  }
+  return chunk('fmt ', body);
+}
+
+// Loop markers for samplers and DAWs: a forward loop in 'smpl' (end is the last frame played)
+// and matching 'cue ' points labelled through a LIST/adtl chunk
+function loopChunks(loop, sampleRate) {
+  const smpl = Buffer.alloc(36 + 24);
+  smpl.writeUInt32LE(Math.round(1e9 / sampleRate), 8); // sample period (ns)
+  smpl.writeUInt32LE(60, 12); // MIDI unity note
+  smpl.writeUInt32LE(1, 28); // one loop
+  smpl.writeUInt32LE(1, 36); // cue point id
+  smpl.writeUInt32LE(0, 40); // forward
+  smpl.writeUInt32LE(loop.start, 44);
+  smpl.writeUInt32LE(Math.max(loop.start, loop.end - 1), 48);
+  // fraction 0, play count 0 = loop forever
+
+  const points = [{ id: 1, pos: loop.start, label: 'Loop Start' }, { id: 2, pos: loop.end, label: 'Loop End' }];
+  const cue = Buffer.alloc(4 + 24 * points.length);
+  cue.writeUInt32LE(points.length, 0);
+  points.forEach((pt, i) => {
+    const o = 4 + 24 * i;
+    cue.writeUInt32LE(pt.id, o);
+    cue.writeUInt32LE(pt.pos, o + 4);
+    cue.write('data', o + 8, 'ascii');
+    cue.writeUInt32LE(0, o + 12); // chunk start
+    cue.writeUInt32LE(0, o + 16); // block start
+    cue.writeUInt32LE(pt.pos, o + 20);
+  });
+
+  const labels = points.map(pt => {
+    const text = Buffer.from(pt.label + '\0', 'ascii');
+    const body = Buffer.alloc(4 + text.length);
+    body.writeUInt32LE(pt.id, 0);
+    text.copy(body, 4);
+    return chunk('labl', body);
+  });
+  const list = chunk('LIST', Buffer.concat([Buffer.from('adtl', 'ascii'), ...labels]));
+  return [chunk('smpl', smpl), chunk('cue ', cue), list];
+}
+
+// Write channelsData as a WAV file. format: { bits, float } (see WAV_FORMATS);
+// loop: { start, end } in frames, written as smpl / cue markers
+function writeWav(filePath, channelsData, sampleRate, format = WAV_FORMATS[16], loop = null) {
   const numChannels = channelsData.length;
-  const bitsPerSample = 16;
-  const bytesPerSample = bitsPerSample / 8;
+  const bytesPerSample = format.bits / 8;
   const frameCount = channelsData[0].length;
-  const dataSize = frameCount * bytesPerSample * numChannels;
-  const blockAlign = numChannels * bytesPerSample;
-  const byteRate = sampleRate * blockAlign;
-
-  const buf = Buffer.alloc(44 + dataSize);
+  const data = Buffer.alloc(frameCount * bytesPerSample * numChannels);
   let o = 0;
-  // RIFF header
-  buf.write('RIFF', o); o += 4;
-  buf.writeUInt32LE(36 + dataSize, o); o += 4;
-  buf.write('WAVE', o); o += 4;
-  // fmt chunk
-  buf.write('fmt ', o); o += 4;
-  buf.writeUInt32LE(16, o); o += 4; // PCM fmt chunk size
-  buf.writeUInt16LE(1, o); o += 2; // PCM
-  buf.writeUInt16LE(numChannels, o); o += 2;
-  buf.writeUInt32LE(sampleRate, o); o += 4;
-  buf.writeUInt32LE(byteRate, o); o += 4;
-  buf.writeUInt16LE(blockAlign, o); o += 2;
-  buf.writeUInt16LE(bitsPerSample, o); o += 2;
-  // data chunk
-  buf.write('data', o); o += 4;
-  buf.writeUInt32LE(dataSize, o); o += 4;
   // samples interleaved
   for (let i = 0; i < frameCount; i++) {
     for (let ch = 0; ch < numChannels; ch++) {
       let v = channelsData[ch][i];
       if (!Number.isFinite(v)) v = 0;
-      if (v > 1) v = 1;
-      if (v < -1) v = -1;
-      const s = Math.max(-32768, Math.min(32767, Math.round(v * 32767)));
-      buf.writeInt16LE(s, o); o += 2;
+      encodeSample(data, o, v, format);
+      o += bytesPerSample;
     }
   }
-  fs.writeFileSync(filePath, buf);
+
+  const chunks = [fmtChunk(numChannels, sampleRate, format)];
+  if (format.float) {
+    const fact = Buffer.alloc(4);
+    fact.writeUInt32LE(frameCount, 0);
+    chunks.push(chunk('fact', fact));
+  }
+  if (loop) chunks.push(...loopChunks(loop, sampleRate));
+  chunks.push(chunk('data', data));
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(4 + body.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  fs.writeFileSync(filePath, Buffer.concat([header, body]));
 }
 
 function main() {
@@ -286,9 +758,8 @@ function main() {
 
   // Target a shorter loop if requested
   let targetSec = null;
-  for (let i = 0; i < process.argv.length - 1; i++) {
-    if (process.argv[i] === '--target-sec') { const v = parseFloat(process.argv[i + 1]); if (Number.isFinite(v)) targetSec = v; }
-  }
+  const targetArg = parseFloat(readArg('--target-sec'));
+  if (Number.isFinite(targetArg)) targetSec = targetArg;
   if (!targetSec && process.env.TARGET_SEC) {
     const v = parseFloat(process.env.TARGET_SEC);
     if (Number.isFinite(v)) targetSec = v;
@@ -299,46 +770,129 @@ function main() {
   } else {
     opts.maxSearchSec = Math.max(5.0, (frames / sampleRate) - startSec - 0.5);
   }
-  const { bestPos, bestCorr } = findBestMatchAfter(analyzed, sampleRate, startIdx, opts);
 
-  // Refine at full rate
-  const refined = refineBoundary(analyzed, startIdx, bestPos, sampleRate);
-  let endIdx = refined.end;
+  // Tempo grid: --bpm N with --bars N or --beats N (any whole number of bars if neither),
+  // --beats-per-bar (default 4) and --tolerance-ms (default 10) for how far off-grid a loop may be
+  const grid = readTempoGrid(sampleRate, opts, frames / sampleRate - startSec);
+  if (grid) {
+    opts.lengths = grid.lengths;
+    opts.toleranceSamples = grid.toleranceSamples;
+    opts.minLoopSec = Math.min(opts.minLoopSec, grid.lengths[0] / sampleRate);
+    opts.maxSearchSec = Math.max(opts.maxSearchSec, (grid.lengths[grid.lengths.length - 1] + grid.toleranceSamples) / sampleRate);
+  }
 
-  // Snap both boundaries to nearest matching zero-crossings
-  const zWin = Math.floor(0.05 * sampleRate); // 50ms search window
-  const startZ = findNearestZeroCrossing(analyzed, startIdx, zWin);
-  const endZ = findNearestZeroCrossing(analyzed, endIdx, zWin);
+  // Ranked suggestions: --top N (default 1, at most CANDIDATE_POOL); --json prints them as JSON
+  // instead of the report
+  const top = Math.min(CANDIDATE_POOL, Math.max(1, parseInt(readArg('--top') ?? process.env.TOP ?? '1', 10) || 1));
+  const asJson = process.argv.includes('--json');
+  opts.count = CANDIDATE_POOL;
+
+  // Matching: --match waveform (default; correlation of the waveform) or --match spectral
+  // (log-mel envelopes around the seam, for noisy textures where the waveform never repeats)
+  const matchMode = readArg('--match') ?? process.env.MATCH ?? 'waveform';
+  if (matchMode !== 'waveform' && matchMode !== 'spectral') {
+    throw new Error(`Unknown --match mode: ${matchMode} (use waveform or spectral)`);
+  }
+  const analyzer = matchMode === 'spectral' ? createSpectralAnalyzer(analyzed, sampleRate) : null;
+  const { matches } = analyzer
+    ? findSpectralMatchesAfter(analyzed, sampleRate, startIdx, { ...opts, analyzer })
+    : findMatchesAfter(analyzed, sampleRate, startIdx, opts);
+  const ranked = matches
+    .map(match => resolveCandidate(analyzed, channelsData, sampleRate, startIdx, match, grid, analyzer))
+    .sort((x, y) => y.corrRefined - x.corrRefined)
+    .slice(0, top);
+
+  if (asJson) {
+    const report = {
+      file,
+      sampleRate,
+      channels: channelsData.length,
+      frames,
+      durationSec: frames / sampleRate,
+      match: matchMode,
+      tempo: grid ? { bpm: grid.bpm, toleranceSamples: grid.toleranceSamples } : null,
+      candidates: ranked.map((c, i) => candidateJson(c, i + 1, sampleRate, grid)),
+    };
+    console.log(JSON.stringify(report, null, 2));
+  }
 
+  const best = ranked[0];
+  const { start: startZ, end: endZ } = best;
   const loopLen = endZ - startZ;
-  const loopSec = loopLen / sampleRate;
+  // with --json, stdout carries only the JSON; anything else goes to stderr
+  const log = asJson ? console.error : console.log;
+
+  // Crossfade at the seam when writing (ms); 0 = plain cut
+  let crossfadeMs = 0;
+  const crossfadeArg = parseFloat(readArg('--crossfade-ms') ?? process.env.CROSSFADE_MS);
+  if (Number.isFinite(crossfadeArg) && crossfadeArg > 0) crossfadeMs = crossfadeArg;
+
+  if (!asJson) {
+    console.log('File:', file);
+    console.log('Sample rate:', sampleRate, 'Hz');
+    console.log('Duration:', (frames / sampleRate).toFixed(3), 's');
+    console.log('--- Suggested Loop ---');
+    console.log('Start (raw):', fmtTime(startIdx, sampleRate));
+    console.log('End (raw):  ', fmtTime(best.endRaw, sampleRate));
+    console.log('Start (zero-cross):', fmtTime(startZ, sampleRate));
+    console.log('End (zero-cross):  ', fmtTime(endZ, sampleRate));
+    console.log('Loop length:', (loopLen / sampleRate).toFixed(6), 's');
+    if (analyzer) {
+      console.log(`Match mode: spectral (${MEL_BANDS} log-mel bands, ${analyzer.size}-point frames)`);
+      console.log('Spectral similarity (coarse):', best.corrCoarse.toFixed(3));
+      console.log('Spectral similarity (refined):', best.corrRefined.toFixed(3));
+    } else {
+      console.log('Match corr (coarse):', best.corrCoarse.toFixed(3));
+      console.log('Match corr (refined ~250ms window):', best.corrRefined.toFixed(3));
+    }
+    if (grid) {
+      const offMs = ((loopLen - best.gridLen) / sampleRate) * 1000;
+      console.log(`Tempo grid: ${grid.bpm} BPM, ${grid.describe(best.gridLen)} = ${fmtTime(best.gridLen, sampleRate)}, off-grid by ${offMs.toFixed(2)}ms`);
+    }
+    console.log('Seam discontinuity:', fmtSeam(best.seam));
 
-  console.log('File:', file);
-  console.log('Sample rate:', sampleRate, 'Hz');
-  console.log('Duration:', (frames / sampleRate).toFixed(3), 's');
-  console.log('--- Suggested Loop ---');
-  console.log('Start (raw):', fmtTime(startIdx, sampleRate));
-  console.log('End (raw):  ', fmtTime(endIdx, sampleRate));
-  console.log('Start (zero-cross):', fmtTime(startZ, sampleRate));
-  console.log('End (zero-cross):  ', fmtTime(endZ, sampleRate));
-  console.log('Loop length:', loopSec.toFixed(6), 's');
-  console.log('Match corr (coarse):', bestCorr.toFixed(3));
-  console.log('Match corr (refined ~250ms window):', refined.corr.toFixed(3));
+    // Spectral similarity runs on its own (much lower) scale, so there the seam itself decides
+    if (!crossfadeMs && analyzer && best.seam.ratio > 2) {
+      console.log(`Note: the seam jumps ${best.seam.ratio.toFixed(1)}x more than the material around it; consider a crossfade (e.g., --crossfade-ms 20–100).`);
+    } else if (!crossfadeMs && !analyzer && best.corrRefined < 0.5) {
+      console.log('Note: correlation is modest; consider a short crossfade at the boundary (e.g., --crossfade-ms 10–50).');
+    }
 
-  if (refined.corr < 0.5) {
-    console.log('Note: correlation is modest; consider a short crossfade at the boundary (e.g., 10–50ms).');
-  }
+    if (ranked.length > 1) {
+      console.log('\n--- Other Candidates ---');
+      ranked.slice(1).forEach((c, i) => {
+        console.log(`#${i + 2}: ${fmtTime(c.start, sampleRate)} to ${fmtTime(c.end, sampleRate)}`
+          + ` (${((c.end - c.start) / sampleRate).toFixed(3)}s), corr ${c.corrCoarse.toFixed(3)} / ${c.corrRefined.toFixed(3)},`
+          + ` seam ${c.seam.ratio.toFixed(2)}x typical`);
+      });
+    }
 
-  // Provide quick tips to audition externally
-  console.log('\nTo audition: cut', fmtTime(startZ, sampleRate), 'to', fmtTime(endZ, sampleRate), 'and loop it.');
+    // Provide quick tips to audition externally
+    console.log('\nTo audition: cut', fmtTime(startZ, sampleRate), 'to', fmtTime(endZ, sampleRate), 'and loop it.');
+  }
 
   const shouldWrite = process.argv.includes('--write') || process.env.WRITE === '1';
   if (shouldWrite) {
+    // --format 8|16|24|32|32f|64f, or 'source' (default) for the input's own depth
+    const formatArg = readArg('--format') ?? process.env.FORMAT ?? 'source';
+    const outFormat = formatArg === 'source'
+      ? { bits: parsed.bitsPerSample, float: parsed.float }
+      : WAV_FORMATS[formatArg];
+    if (!outFormat || !(outFormat.float ? [32, 64] : [8, 16, 24, 32]).includes(outFormat.bits)) {
+      throw new Error(`Unsupported --format: ${formatArg} (use 8, 16, 24, 32, 32f, 64f or source)`);
+    }
     const outPath = 'rain_loop.wav';
     const sliceLen = Math.max(0, endZ - startZ);
-    const slicedChans = channelsData.map(ch => ch.subarray(startZ, endZ));
-    writeWav16(outPath, slicedChans, sampleRate);
-    console.log(`\nWrote ${outPath} with ${sliceLen} frames (${fmtTime(sliceLen, sampleRate)}), ${channelsData.length}ch 16-bit PCM @ ${sampleRate} Hz.`);
+    let slicedChans = channelsData.map(ch => ch.subarray(startZ, endZ));
+    if (crossfadeMs) {
+      const xfadeLen = Math.round(crossfadeMs / 1000 * sampleRate);
+      slicedChans = crossfadeLoop(channelsData, startZ, endZ, xfadeLen);
+      log(`\nCrossfade: ${Math.min(xfadeLen, startZ, sliceLen)} frames (${crossfadeMs}ms, equal-power)`);
+      log('Seam discontinuity before:', fmtSeam(best.seam));
+      log('Seam discontinuity after: ', fmtSeam(seamDiscontinuity(slicedChans)));
+    }
+    writeWav(outPath, slicedChans, sampleRate, outFormat, { start: 0, end: sliceLen });
+    log(`\nWrote ${outPath} with ${sliceLen} frames (${fmtTime(sliceLen, sampleRate)}), ${channelsData.length}ch ${describeFormat(outFormat)} @ ${sampleRate} Hz, loop marked in smpl/cue.`);
   }
 }
 
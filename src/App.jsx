@@ -1,16 +1,30 @@
 import React, { useEffect, useRef, useState } from 'react';
 import Soundfont from 'soundfont-player';
 import rainLoopUrl from '../rain_loop.wav';
-import createScheduler from './audio/scheduler.js';
-import { getNormalizationGain } from './audio/normalization.js';
+import createScheduler, { gridTicks, quartersPerBar } from './audio/scheduler.js';
+import { DEFAULT_LOUDNESS_TARGET, balanceInstrument, getNormalization, rampNormalizationGain } from './audio/normalization.js';
+import { MIDI_CLOCK_PPQ, createMidiClockIn, createTapTempo, listMidiInputs, requestMidi } from './audio/midi.js';
+import MidiOutSelect from './MidiOutSelect.jsx';
 
 // App constants
 const DEFAULT_CHORD_GAIN = 0.1; // chords default gain
 const DEFAULT_DRUM_GAIN = 1.0;  // drums default gain
 const DEFAULT_BASS_GAIN = 0.5;  // bass default gain
 const DEFAULT_RAIN_GAIN = 1.0;  // rain default gain
-const SWING = 0.2; // 8th-note swing amount (0..~0.5)
+// Groove templates (see audio/grooves.js): drums swing, the bar-long bass and chords stay on the grid
+const GROOVE = 'straight';
+const BUS_GROOVES = { drums: 'swing8' };
+const METER = { beats: 4, unit: 4 }; // time signature handed to the scheduler
+const PPQ = 24; // scheduler resolution; fine enough for 32nds and triplets
+const TICKS_16TH = gridTicks(PPQ, '16n');
+const TICKS_32ND = gridTicks(PPQ, '32n');
+// Worker-driven clock so the loop keeps going in a background tab or on a locked phone
+const SCHEDULER_CLOCK = 'worker';
+// BPM slider changes wait for the next bar line (see QUANTIZE_UNITS in audio/scheduler.js)
+const BPM_QUANTIZE = 'bar';
 const CHORD_INSTRUMENT = 'pan_flute';
+// Soundfont instruments are matched by loudness, all to the same target (see audio/normalization.js)
+const LEVEL_MATCH = { mode: 'loudness', target: DEFAULT_LOUDNESS_TARGET };
 const SILENCE_EPS = 0.0005; // threshold below which a bus is treated as off
 
 // Three 4-bar progressions; cycle through each for CHANGE_EVERY_BARS bars
@@ -44,7 +58,10 @@ export default function App() {
     return Number.isFinite(v) ? Math.min(160, Math.max(80, v)) : 96;
   });
   const bpmRef = useRef(bpm);
-  useEffect(() => { bpmRef.current = bpm; }, [bpm]);
+  // Slider value last set to show a followed tempo (tap, MIDI clock); the transport keeps
+  // running at the exact followed tempo in bpmRef instead of this rounded one
+  const followedBpmRef = useRef(null);
+  useEffect(() => { if (followedBpmRef.current !== bpm) bpmRef.current = bpm; }, [bpm]);
   const [playing, setPlaying] = useState(false);
   const playingRef = useRef(false);
   useEffect(() => { playingRef.current = playing; }, [playing]);
@@ -90,12 +107,67 @@ export default function App() {
   useEffect(() => { rainGainRef.current = rainGain; }, [rainGain]);
 
   const schedulerRef = useRef(null);
-  // Deterministic progression order
-  const barsSinceChangeRef = useRef(0);
-  const progIdxRef = useRef(0);
-  const progressionRef = useRef(CHORD_PROGRESSIONS[0]);
   const barCountRef = useRef(0); // total bars scheduled so far
 
+  // Tempo source: the BPM slider, or MIDI clock from outside (a drum machine, a DAW).
+  // Tap tempo works with either; under MIDI clock the slider only shows the followed tempo.
+  const [syncSource, setSyncSource] = useState(() => (localStorage.getItem('bp_sync') === 'midi' ? 'midi' : 'internal'));
+  const [syncStatus, setSyncStatus] = useState('');
+  const followingRef = useRef(false);
+  const tapRef = useRef(null);
+  if (!tapRef.current) tapRef.current = createTapTempo();
+  const toggleRef = useRef(null);
+  const restartRef = useRef(null);
+  // MIDI clock out; kept here because the scheduler is rebuilt on every fresh start
+  const midiOutRef = useRef(null);
+
+  function setMidiOut(out) {
+    midiOutRef.current = out;
+    if (schedulerRef.current) schedulerRef.current.setMidiOutput(out);
+  }
+
+  // An outside beat at performance time ms: show its tempo, and lock the transport to it
+  function followBeat(ms, externalBpm) {
+    const shown = Math.round(Math.min(160, Math.max(80, externalBpm)));
+    followedBpmRef.current = shown;
+    bpmRef.current = externalBpm;
+    setBpm(shown);
+    const scheduler = schedulerRef.current;
+    if (scheduler && playingRef.current) scheduler.syncBeat(scheduler.displayToAudioTime(ms), externalBpm);
+    else if (scheduler) scheduler.setBpm(externalBpm);
+  }
+
+  function tap(ev) {
+    const tapped = tapRef.current.tap(ev.timeStamp || performance.now());
+    if (tapped) followBeat(ev.timeStamp || performance.now(), tapped);
+  }
+
+  useEffect(() => {
+    try { localStorage.setItem('bp_sync', syncSource); } catch {}
+    followingRef.current = syncSource === 'midi';
+    if (syncSource !== 'midi') { setSyncStatus(''); return undefined; }
+    let cancelled = false;
+    let clockIn = null;
+    setSyncStatus('Waiting for MIDI access…');
+    requestMidi().then((access) => {
+      if (cancelled) return;
+      if (!access) { setSyncStatus('Web MIDI is not available'); return; }
+      const inputs = listMidiInputs(access);
+      setSyncStatus(inputs.length ? `Listening on ${inputs.map((i) => i.name).join(', ')}` : 'No MIDI inputs found');
+      clockIn = createMidiClockIn(access, {
+        onBeat: followBeat,
+        onStart: (ms) => restartRef.current(ms),
+        onContinue: () => { if (!playingRef.current) toggleRef.current(); },
+        onStop: () => { if (playingRef.current) toggleRef.current(); },
+      });
+    });
+    return () => {
+      cancelled = true;
+      if (clockIn) clockIn.disconnect();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncSource]);
+
   // Init audio graph once
   useEffect(() => {
     const ctx = new (window.AudioContext || window.webkitAudioContext)();
@@ -130,15 +202,18 @@ export default function App() {
 
     nodes.current = { ctx, master, rainGainNode, drumsNode, bassGainNode, chordGainNode, chordNormNode };
 
-    // Load chord instrument and compute normalization
+    // Load chord instrument; it plays at unity until its level analysis lands
+    const analysis = new AbortController();
     Soundfont.instrument(ctx, CHORD_INSTRUMENT, { soundfont: 'MusyngKite' })
       .then(inst => {
-        nodes.current.sfChord = inst;
         if (inst.disconnect) inst.disconnect();
         if (inst.connect) inst.connect(nodes.current.chordNormNode || nodes.current.chordGainNode);
-        const gain = getNormalizationGain(inst, `sf:${CHORD_INSTRUMENT}`);
-        const normNode = nodes.current.chordNormNode || nodes.current.chordGainNode;
-        normNode.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.current.sfChord = inst;
+        return getNormalization(inst, `sf:MusyngKite:${CHORD_INSTRUMENT}`, { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          nodes.current.sfChord = balanceInstrument(inst, noteGains);
+          const normNode = nodes.current.chordNormNode || nodes.current.chordGainNode;
+          rampNormalizationGain(normNode, gain);
+        });
       })
       .catch(() => {});
 
@@ -160,6 +235,7 @@ export default function App() {
       .catch(() => {});
 
     return () => {
+      analysis.abort();
       if (schedulerRef.current) schedulerRef.current.stop();
       ctx.close();
     };
@@ -231,7 +307,7 @@ export default function App() {
     return 440 * Math.pow(2, (midi - 69) / 12);
   }
 
-  function triggerBass(time, rootNote) {
+  function triggerBass(time, rootNote, meter = METER) {
     const { ctx, bassGainNode } = nodes.current;
     if (!ctx) return;
     // shift root down an octave for depth
@@ -247,7 +323,7 @@ export default function App() {
     osc.type = 'sine';
     osc.frequency.setValueAtTime(freq, time);
     // envelope (slow, natural fade across most of the bar)
-    const dur = (60 / bpmRef.current) * 4; // 1 bar
+    const dur = (60 / bpmRef.current) * quartersPerBar(meter); // 1 bar
     const a = 0.02;
     const fadeFrac = 0.7; // fade down over ~70% of the bar
     const fadeEnd = time + dur * fadeFrac;
@@ -262,11 +338,11 @@ export default function App() {
   }
 
   // ---- Chords ----
-  function triggerChord(time, chord) {
+  function triggerChord(time, chord, meter = METER) {
     const inst = nodes.current.sfChord;
     const chordGainNode = nodes.current.chordGainNode;
     if (!inst) return;
-    const dur = 60 / bpmRef.current * 4; // 1 measure in seconds
+    const dur = 60 / bpmRef.current * quartersPerBar(meter); // 1 measure in seconds
     // Attenuate by note count to avoid perceived loudness spikes when stacking
     const count = Math.max(1, chord.length);
     const stackFactor = 1 / Math.sqrt(count);
@@ -287,47 +363,69 @@ export default function App() {
   }
 
   // ---- Scheduling callbacks (external scheduler) ----
-  const onSixteenth = (time, sixteenth /* 0..15 */, barIndex /* running */) => {
+  const onSixteenth = (time, sixteenth /* 0..steps-1 */, barIndex /* running */, bar, feel) => {
     if (drumsGainRef.current > SILENCE_EPS) {
-      if (sixteenth === 0 || sixteenth === 8) triggerKick(time);
-      if (sixteenth === 4 || sixteenth === 12) triggerSnare(time);
-      if (sixteenth % 2 === 0) triggerHat(time);
+      const drums = feel.bus('drums');
+      if (sixteenth === 0 || sixteenth === 8) triggerKick(drums.time);
+      if (sixteenth === 4 || sixteenth === 12) triggerSnare(drums.time, 0.9 * drums.velocity);
+      if (sixteenth % 2 === 0) triggerHat(drums.time, 0.6 * drums.velocity);
     }
+  };
 
-    // Subtle 4-bar variation at the end of every 4th bar
-    if (drumsGainRef.current > SILENCE_EPS && sixteenth === 15 && ((barIndex + 1) % 4 === 0)) {
-      const beatSec = 60 / bpmRef.current;
-      const offset = 0.125 * beatSec; // a light 32nd-note after the last 16th
-      triggerHat(time + offset, 0.5, 0.03);
-      triggerSnare(time + offset, 0.35, 0.08);
+  const onTick = (time, tick, barIndex, bar, feel) => {
+    // Subtle 4-bar variation: a light 32nd-note after the last 16th of every 4th bar
+    const fillTick = (bar.steps - 1) * TICKS_16TH + TICKS_32ND;
+    if (drumsGainRef.current > SILENCE_EPS && tick === fillTick && ((barIndex + 1) % 4 === 0)) {
+      const { time: t } = feel.bus('drums');
+      triggerHat(t, 0.5, 0.03);
+      triggerSnare(t, 0.35, 0.08);
     }
   };
 
-  const onBar = (time, barIndex) => {
+  const onBar = (time, barIndex, bar) => {
+    // Deterministic progression order, derived from the bar index so a resume lands on the right chord
+    const progression = CHORD_PROGRESSIONS[Math.floor(barIndex / CHANGE_EVERY_BARS) % CHORD_PROGRESSIONS.length];
     // choose chord for this bar index within the current 4-bar progression
-    const chord = progressionRef.current[barIndex % progressionRef.current.length];
+    const chord = progression[barIndex % progression.length];
     barCountRef.current = barIndex + 1;
     // bass first (root), then chords — gated by gains
-    if (bassGainRef.current > SILENCE_EPS) triggerBass(time, chord[0]);
-    if (chordsGainRef.current > SILENCE_EPS) triggerChord(time, chord);
-    // after scheduling this bar, update progression if needed for the NEXT bar
-    barsSinceChangeRef.current += 1;
-    if (barsSinceChangeRef.current % CHANGE_EVERY_BARS === 0) {
-      progIdxRef.current = (progIdxRef.current + 1) % CHORD_PROGRESSIONS.length;
-      progressionRef.current = CHORD_PROGRESSIONS[progIdxRef.current];
-    }
+    if (bassGainRef.current > SILENCE_EPS) triggerBass(time, chord[0], bar.meter);
+    if (chordsGainRef.current > SILENCE_EPS) triggerChord(time, chord, bar.meter);
   };
 
+  // A fresh scheduler from bar 0, its first 16th delaySec from now
+  function startFromTop(delaySec) {
+    barCountRef.current = 0;
+    schedulerRef.current = createScheduler(ctxRef.current, {
+      bpm: bpmRef.current,
+      groove: GROOVE,
+      grooves: BUS_GROOVES,
+      meter: METER,
+      ppq: PPQ,
+      clock: SCHEDULER_CLOCK,
+      midiOut: midiOutRef.current,
+      onSixteenth,
+      onBar,
+      onTick,
+    });
+    schedulerRef.current.start(delaySec);
+  }
+
+  // MIDI Start at performance time ms: play from the top (never from a paused position),
+  // with the downbeat on the first clock pulse after the message; syncBeat takes it from there
+  function restartFromTop(ms) {
+    const scheduler = schedulerRef.current;
+    if (scheduler) scheduler.stop();
+    if (!playingRef.current || !scheduler) { toggleRef.current(); return; }
+    const downbeat = scheduler.displayToAudioTime(ms + 60000 / (bpmRef.current * MIDI_CLOCK_PPQ));
+    startFromTop(Math.max(0.01, downbeat - ctxRef.current.currentTime));
+  }
+
   async function toggle() {
     const ctx = ctxRef.current;
     if (!ctx) return;
     if (!playing) {
       await ctx.resume();
-      // Reset counters
-      barsSinceChangeRef.current = 0;
-      progIdxRef.current = 0;
-      progressionRef.current = CHORD_PROGRESSIONS[0];
-      barCountRef.current = 0;
       // Start rain
       if (nodes.current.rainBuf) {
         const src = ctx.createBufferSource();
@@ -337,20 +435,33 @@ export default function App() {
         src.start();
         nodes.current.rainSrc = src;
       }
-      // Start scheduler
-      schedulerRef.current = createScheduler(ctx, { bpm, swing: SWING, onSixteenth, onBar });
-      schedulerRef.current.start(0.05);
+      // Pick up where we paused, otherwise start from the top
+      if (schedulerRef.current && schedulerRef.current.getState().paused) {
+        schedulerRef.current.resume(0.05);
+        setPlaying(true);
+        return;
+      }
+      startFromTop(0.05);
       setPlaying(true);
     } else {
-      if (schedulerRef.current) schedulerRef.current.stop();
+      if (schedulerRef.current) schedulerRef.current.pause();
       if (nodes.current.rainSrc) { nodes.current.rainSrc.stop(); nodes.current.rainSrc = null; }
       setPlaying(false);
     }
   }
 
-  // Persist BPM and update scheduler
+  toggleRef.current = toggle;
+  restartRef.current = restartFromTop;
+
+  // Persist BPM and update scheduler (under MIDI clock, syncBeat sets the tempo instead;
+  // a slider move that only shows a followed tempo leaves the transport alone)
   useEffect(() => { localStorage.setItem('bp_bpm', String(bpm)); }, [bpm]);
-  useEffect(() => { if (schedulerRef.current) schedulerRef.current.setBpm(bpm); }, [bpm]);
+  useEffect(() => {
+    const followed = followedBpmRef.current === bpm;
+    followedBpmRef.current = null;
+    const scheduler = schedulerRef.current;
+    if (scheduler && !followed && !followingRef.current) scheduler.applyAt(BPM_QUANTIZE, () => scheduler.setBpm(bpm), 'bpm');
+  }, [bpm]);
   // Persist + apply gains (rain, drums, bass, chords)
   useEffect(() => {
     localStorage.setItem('bp_rain_gain', String(rainGain));
@@ -399,8 +510,19 @@ export default function App() {
           <label htmlFor="bpm">BPM <span className="value">{bpm}</span></label>
           <input id="bpm" type="range" min="80" max="160" step="1"
                  value={bpm}
+                 disabled={syncSource === 'midi'}
                  onChange={(e) => setBpm(Number(e.target.value))} />
         </div>
+        <div className="sync-row">
+          <label htmlFor="sync">Sync</label>
+          <select id="sync" value={syncSource} onChange={(e) => setSyncSource(e.target.value)}>
+            <option value="internal">Internal</option>
+            <option value="midi">MIDI clock in</option>
+          </select>
+          <button type="button" onPointerDown={tap}>Tap</button>
+        </div>
+        {syncStatus && <div className="sync-status">{syncStatus}</div>}
+        <MidiOutSelect onChange={setMidiOut} />
         <div className="slider-row">
           <label htmlFor="gain-rain">Rain <span className="value">{Math.round(rainGain * 100)}%</span></label>
           <input id="gain-rain" type="range" min="0" max="1" step="0.01"
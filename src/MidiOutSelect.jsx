@@ -0,0 +1,44 @@
+import React, { useRef, useState } from 'react';
+import { createMidiClockOut, listMidiOutputs, requestMidi } from './audio/midi.js';
+
+// Picker for a Web MIDI output that should follow the transport (clock + start/stop).
+// MIDI access is only requested once the picker gets focus, so the page never prompts unasked.
+// onChange receives a clock sink for scheduler.setMidiOutput(), or null for "Off".
+export default function MidiOutSelect({ onChange }) {
+  const [outputs, setOutputs] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [status, setStatus] = useState('');
+  const accessRef = useRef(null);
+
+  function loadOutputs() {
+    if (accessRef.current) return;
+    requestMidi().then((access) => {
+      if (!access) { setStatus('Web MIDI is not available'); return; }
+      accessRef.current = access;
+      const found = listMidiOutputs(access);
+      setOutputs(found);
+      setStatus(found.length ? '' : 'No MIDI outputs found');
+    });
+  }
+
+  function choose(id) {
+    setSelected(id);
+    const port = id && accessRef.current ? accessRef.current.outputs.get(id) : null;
+    onChange(port ? createMidiClockOut(port) : null);
+  }
+
+  return (
+    <>
+      <div className="sync-row">
+        <label htmlFor="midi-out">MIDI out</label>
+        <select id="midi-out" value={selected} onFocus={loadOutputs} onPointerDown={loadOutputs} onChange={(ev) => choose(ev.target.value)}>
+          <option value="">Off</option>
+          {outputs.map((output) => (
+            <option key={output.id} value={output.id}>{output.name}</option>
+          ))}
+        </select>
+      </div>
+      {status && <div className="sync-status">{status}</div>}
+    </>
+  );
+}
@@ -1,9 +1,20 @@
 import React, { useEffect, useRef, useState } from 'react';
 import Soundfont from 'soundfont-player';
-import createScheduler from './audio/scheduler.js';
-import { getNormalizationGain } from './audio/normalization.js';
+import createScheduler, { quartersPerBar } from './audio/scheduler.js';
+import { DEFAULT_LOUDNESS_TARGET, balanceInstrument, getNormalization, rampNormalizationGain } from './audio/normalization.js';
+import { MAX_SEED, newSeed, parseSeed } from './audio/random.js';
+import { createTrack } from './audio/sequencer.js';
+import MidiOutSelect from './MidiOutSelect.jsx';
 
 const SILENCE_EPS = 0.0005;
+// Soundfont instruments are matched by loudness, all to the same target (see audio/normalization.js)
+const LEVEL_MATCH = { mode: 'loudness', target: DEFAULT_LOUDNESS_TARGET };
+
+// Sections run in common time unless they declare their own meter
+const DEFAULT_METER = { beats: 4, unit: 4 };
+// The piano sits a touch behind the beat; everything else plays straight
+const GROOVE = 'straight';
+const BUS_GROOVES = { piano: 'laidBack' };
 
 const ARRANGEMENT = [
   {
@@ -27,12 +38,14 @@ const ARRANGEMENT = [
     textureMode: 'stream',
     pedalChord: true,
     sparkle: 0.14,
+    ritardando: { bars: 2, amount: 0.06 },
   },
   {
     name: 'Open Skies',
     bars: 20,
+    meter: { beats: 3, unit: 4 },
     intensity: { piano: 0.78, strings: 0.55, winds: 0.22, texture: 0.28 },
-    pianoPattern: 'wide',
+    pianoPattern: 'waltz',
     stringMode: 'legato',
     windMode: 'duet',
     textureMode: 'breeze',
@@ -49,6 +62,7 @@ const ARRANGEMENT = [
     textureMode: 'stream',
     pedalChord: false,
     sparkle: 0.1,
+    ritardando: { bars: 2, amount: 0.08 },
   },
   {
     name: 'Return To Light',
@@ -60,10 +74,19 @@ const ARRANGEMENT = [
     textureMode: 'mist',
     pedalChord: true,
     sparkle: 0.06,
+    ritardando: { bars: 4, amount: 0.15 },
   },
 ];
 
 const TOTAL_BARS = ARRANGEMENT.reduce((sum, section) => sum + section.bars, 0);
+// Repeat range covering the whole suite; any other range is a section name (a transport cue)
+const LOOP_ALL = 'all';
+const END_CUE = 'End';
+// Where each control's changes land on the transport (see QUANTIZE_UNITS in audio/scheduler.js):
+// the piano and its tone follow the beat, tempo and the sustained layers wait for the bar
+const CONTROL_QUANTIZE = { bpm: 'bar', piano: 'beat', strings: 'bar', winds: 'bar', texture: 'bar', dynamics: 'beat' };
+// `ritardando` slows the last `bars` bars of a section by `amount` (0.06 = 6% slower);
+// every section starts back a tempo at the slider BPM.
 
 const CHORD_LIBRARY = {
   dm9: {
@@ -182,16 +205,17 @@ function resolveDegree(chord, degree, index = 0) {
   return list[normalized];
 }
 
+// One-bar tracks that follow the bar line, so the waltz restarts on every 3/4 bar
 const PIANO_PATTERNS = {
-  delicate: [
+  delicate: createTrack({ events: [
     { step: 0, degrees: ['bass'], octave: -1, len16: 8, vel: 0.72 },
     { step: 4, degrees: ['fifth'], len16: 6, vel: 0.64 },
     { step: 8, degrees: [0], len16: 4, vel: 0.6 },
     { step: 10, degrees: [2], len16: 3, vel: 0.56 },
     { step: 12, degrees: [4], len16: 3, vel: 0.55 },
     { step: 14, degrees: [3], len16: 2, vel: 0.52 },
-  ],
-  rolling: [
+  ] }),
+  rolling: createTrack({ events: [
     { step: 0, degrees: ['bass'], octave: -1, len16: 6, vel: 0.78 },
     { step: 2, degrees: ['fifth'], len16: 5, vel: 0.7 },
     { step: 4, degrees: [0, 2], len16: 2, vel: 0.64 },
@@ -200,8 +224,8 @@ const PIANO_PATTERNS = {
     { step: 10, degrees: [2], len16: 3, vel: 0.6 },
     { step: 12, degrees: [4], len16: 3, vel: 0.58 },
     { step: 15, degrees: [3], len16: 2, vel: 0.56 },
-  ],
-  wide: [
+  ] }),
+  wide: createTrack({ events: [
     { step: 0, degrees: ['bass'], octave: -1, len16: 8, vel: 0.76 },
     { step: 4, degrees: ['fifth'], len16: 6, vel: 0.7 },
     { step: 5, degrees: [0], len16: 2, vel: 0.62 },
@@ -210,8 +234,16 @@ const PIANO_PATTERNS = {
     { step: 11, degrees: [1, 3], len16: 2, vel: 0.58 },
     { step: 13, degrees: [5], len16: 3, vel: 0.6 },
     { step: 15, degrees: [2], len16: 2, vel: 0.58 },
-  ],
-  cascade: [
+  ] }),
+  // 3/4: low root on the downbeat, lifted chord tones on beats two and three
+  waltz: createTrack({ events: [
+    { step: 0, degrees: ['bass'], octave: -1, len16: 10, vel: 0.74 },
+    { step: 4, degrees: [0, 2], len16: 3, vel: 0.58 },
+    { step: 7, degrees: [4], len16: 2, vel: 0.5 },
+    { step: 8, degrees: [1, 3], len16: 3, vel: 0.56 },
+    { step: 10, degrees: [5], len16: 2, vel: 0.52 },
+  ] }),
+  cascade: createTrack({ events: [
     { step: 0, degrees: ['bass'], octave: -1, len16: 4, vel: 0.74 },
     { step: 2, degrees: ['fifth'], len16: 4, vel: 0.68 },
     { step: 4, degrees: [0, 3], len16: 2, vel: 0.64 },
@@ -221,7 +253,7 @@ const PIANO_PATTERNS = {
     { step: 10, degrees: [1, 4], len16: 2, vel: 0.6 },
     { step: 12, degrees: [3], len16: 2, vel: 0.58 },
     { step: 14, degrees: [5], len16: 2, vel: 0.58 },
-  ],
+  ] }),
 };
 
 function createNoiseBuffer(ctx) {
@@ -257,9 +289,11 @@ export default function Piano() {
   });
   const bpmRef = useRef(bpm);
   useEffect(() => {
-    bpmRef.current = bpm;
     try { localStorage.setItem('bp_piano_bpm', String(bpm)); } catch {}
-    if (schedulerRef.current) schedulerRef.current.setBpm(bpm);
+    applyQuantized('bpm', () => {
+      bpmRef.current = bpm;
+      if (schedulerRef.current) schedulerRef.current.setBpm(bpm);
+    });
   }, [bpm]);
 
   const [pianoLevel, setPianoLevel] = useState(() => {
@@ -271,14 +305,16 @@ export default function Piano() {
   });
   const pianoLevelRef = useRef(pianoLevel);
   useEffect(() => {
-    pianoLevelRef.current = pianoLevel;
     try { localStorage.setItem('bp_piano_level', String(pianoLevel)); } catch {}
-    const ctx = nodesRef.current?.ctx;
-    if (ctx && nodesRef.current.pianoBus) {
-      const now = ctx.currentTime;
-      nodesRef.current.pianoBus.gain.cancelScheduledValues(now);
-      nodesRef.current.pianoBus.gain.setTargetAtTime(pianoLevel, now, 0.1);
-    }
+    applyQuantized('piano', (time) => {
+      pianoLevelRef.current = pianoLevel;
+      const ctx = nodesRef.current?.ctx;
+      if (ctx && nodesRef.current.pianoBus) {
+        const at = time ?? ctx.currentTime;
+        nodesRef.current.pianoBus.gain.cancelScheduledValues(at);
+        nodesRef.current.pianoBus.gain.setTargetAtTime(pianoLevel, at, 0.1);
+      }
+    });
   }, [pianoLevel]);
 
   const [stringsLevel, setStringsLevel] = useState(() => {
@@ -290,14 +326,16 @@ export default function Piano() {
   });
   const stringsLevelRef = useRef(stringsLevel);
   useEffect(() => {
-    stringsLevelRef.current = stringsLevel;
     try { localStorage.setItem('bp_piano_strings', String(stringsLevel)); } catch {}
-    const ctx = nodesRef.current?.ctx;
-    if (ctx && nodesRef.current.stringBus) {
-      const now = ctx.currentTime;
-      nodesRef.current.stringBus.gain.cancelScheduledValues(now);
-      nodesRef.current.stringBus.gain.setTargetAtTime(stringsLevel, now, 0.12);
-    }
+    applyQuantized('strings', (time) => {
+      stringsLevelRef.current = stringsLevel;
+      const ctx = nodesRef.current?.ctx;
+      if (ctx && nodesRef.current.stringBus) {
+        const at = time ?? ctx.currentTime;
+        nodesRef.current.stringBus.gain.cancelScheduledValues(at);
+        nodesRef.current.stringBus.gain.setTargetAtTime(stringsLevel, at, 0.12);
+      }
+    });
   }, [stringsLevel]);
 
   const [windsLevel, setWindsLevel] = useState(() => {
@@ -309,14 +347,16 @@ export default function Piano() {
   });
   const windsLevelRef = useRef(windsLevel);
   useEffect(() => {
-    windsLevelRef.current = windsLevel;
     try { localStorage.setItem('bp_piano_winds', String(windsLevel)); } catch {}
-    const ctx = nodesRef.current?.ctx;
-    if (ctx && nodesRef.current.windBus) {
-      const now = ctx.currentTime;
-      nodesRef.current.windBus.gain.cancelScheduledValues(now);
-      nodesRef.current.windBus.gain.setTargetAtTime(windsLevel, now, 0.12);
-    }
+    applyQuantized('winds', (time) => {
+      windsLevelRef.current = windsLevel;
+      const ctx = nodesRef.current?.ctx;
+      if (ctx && nodesRef.current.windBus) {
+        const at = time ?? ctx.currentTime;
+        nodesRef.current.windBus.gain.cancelScheduledValues(at);
+        nodesRef.current.windBus.gain.setTargetAtTime(windsLevel, at, 0.12);
+      }
+    });
   }, [windsLevel]);
 
   const [textureLevel, setTextureLevel] = useState(() => {
@@ -328,14 +368,16 @@ export default function Piano() {
   });
   const textureLevelRef = useRef(textureLevel);
   useEffect(() => {
-    textureLevelRef.current = textureLevel;
     try { localStorage.setItem('bp_piano_texture', String(textureLevel)); } catch {}
-    const ctx = nodesRef.current?.ctx;
-    if (ctx && nodesRef.current.textureBus) {
-      const now = ctx.currentTime;
-      nodesRef.current.textureBus.gain.cancelScheduledValues(now);
-      nodesRef.current.textureBus.gain.setTargetAtTime(textureLevel, now, 0.2);
-    }
+    applyQuantized('texture', (time) => {
+      textureLevelRef.current = textureLevel;
+      const ctx = nodesRef.current?.ctx;
+      if (ctx && nodesRef.current.textureBus) {
+        const at = time ?? ctx.currentTime;
+        nodesRef.current.textureBus.gain.cancelScheduledValues(at);
+        nodesRef.current.textureBus.gain.setTargetAtTime(textureLevel, at, 0.2);
+      }
+    });
   }, [textureLevel]);
 
   const [dynamics, setDynamics] = useState(() => {
@@ -347,9 +389,11 @@ export default function Piano() {
   });
   const dynamicsRef = useRef(dynamics);
   useEffect(() => {
-    dynamicsRef.current = dynamics;
     try { localStorage.setItem('bp_piano_dynamics', String(dynamics)); } catch {}
-    updateToneShaping();
+    applyQuantized('dynamics', (time) => {
+      dynamicsRef.current = dynamics;
+      updateToneShaping(time);
+    });
   }, [dynamics]);
 
   const [repeat, setRepeat] = useState(() => {
@@ -358,29 +402,75 @@ export default function Piano() {
     return stored === '1';
   });
   const repeatRef = useRef(repeat);
+  const [loopRange, setLoopRange] = useState(() => {
+    const stored = localStorage.getItem('bp_piano_loop');
+    return ARRANGEMENT.some((section) => section.name === stored) ? stored : LOOP_ALL;
+  });
+  const loopRangeRef = useRef(loopRange);
   useEffect(() => {
     repeatRef.current = repeat;
-    try { localStorage.setItem('bp_piano_repeat', repeat ? '1' : '0'); } catch {}
+    loopRangeRef.current = loopRange;
+    try {
+      localStorage.setItem('bp_piano_repeat', repeat ? '1' : '0');
+      localStorage.setItem('bp_piano_loop', loopRange);
+    } catch {}
     if (repeat) {
       fadeScheduledRef.current = false;
     }
-  }, [repeat]);
+    if (schedulerRef.current) applyLoop(schedulerRef.current);
+  }, [repeat, loopRange]);
+
+  // Seed for the sparkle notes and sparse winds; the same seed replays a session note for note
+  const [seed, setSeed] = useState(() => parseSeed(localStorage.getItem('bp_piano_seed')) ?? newSeed());
+  const seedRef = useRef(seed);
+  useEffect(() => {
+    seedRef.current = seed;
+    try { localStorage.setItem('bp_piano_seed', String(seed)); } catch {}
+    if (schedulerRef.current) schedulerRef.current.setSeed(seed);
+  }, [seed]);
 
   const [playing, setPlaying] = useState(false);
   const playingRef = useRef(false);
   useEffect(() => { playingRef.current = playing; }, [playing]);
 
+  // What the listener is hearing right now, refreshed every animation frame while playing
+  const [nowPlaying, setNowPlaying] = useState('');
+  useEffect(() => {
+    if (!playing) return undefined;
+    let frame = 0;
+    const draw = () => {
+      const pos = schedulerRef.current?.getPosition();
+      if (pos) {
+        const { section, offset } = getSectionForBar(pos.bar);
+        const label = `${section.name} · bar ${offset + 1}/${section.bars} · beat ${pos.beat + 1}`;
+        setNowPlaying(label);
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [playing]);
+
   const nodesRef = useRef({});
   const schedulerRef = useRef(null);
   const arrangementStateRef = useRef({ section: ARRANGEMENT[0], index: 0, offset: 0 });
   const chordRef = useRef(CHORD_SEQUENCE[0]);
   const fadeScheduledRef = useRef(false);
 
-  function updateToneShaping() {
+  // Route a control change through the transport so it lands on that control's boundary;
+  // apply(time) gets the boundary's audio time, or null before the scheduler exists
+  function applyQuantized(control, apply) {
+    const scheduler = schedulerRef.current;
+    if (scheduler) scheduler.applyAt(CONTROL_QUANTIZE[control], apply, control);
+    else apply(null);
+  }
+
+  // at: audio time for the new shaping to start from (default: now)
+  function updateToneShaping(at) {
     const ctx = nodesRef.current?.ctx;
     const nodes = nodesRef.current;
     if (!ctx || !nodes?.colorLow || !nodes?.colorHigh) return;
-    const now = ctx.currentTime;
+    const now = at ?? ctx.currentTime;
     const dyn = dynamicsRef.current;
     const lowGain = -3 + dyn * 5;
     nodes.colorLow.gain.cancelScheduledValues(now);
@@ -515,62 +605,86 @@ export default function Piano() {
     nodesRef.current = nodes;
 
     let mounted = true;
+    // instruments play at unity until their level analysis lands; unmounting cancels it
+    const analysis = new AbortController();
     Soundfont.instrument(ctx, 'acoustic_grand_piano', { soundfont: 'MusyngKite' })
       .then(inst => {
         if (!mounted) return;
-        nodes.pianoInstrument = inst;
         if (inst.disconnect) {
           try { inst.disconnect(); } catch {}
         }
         if (inst.connect) inst.connect(nodes.pianoNorm);
-        const gain = getNormalizationGain(inst, 'sf:acoustic_grand_piano');
-        nodes.pianoNorm.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.pianoInstrument = inst;
+        return getNormalization(inst, 'sf:MusyngKite:acoustic_grand_piano', { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          if (!mounted) return;
+          nodes.pianoInstrument = balanceInstrument(inst, noteGains);
+          rampNormalizationGain(nodes.pianoNorm, gain);
+        });
       })
       .catch(() => {});
 
     Soundfont.instrument(ctx, 'string_ensemble_1', { soundfont: 'MusyngKite' })
       .then(inst => {
         if (!mounted) return;
-        nodes.stringInstrument = inst;
         if (inst.disconnect) {
           try { inst.disconnect(); } catch {}
         }
         if (inst.connect) inst.connect(nodes.stringNorm);
-        const gain = getNormalizationGain(inst, 'sf:string_ensemble_1');
-        nodes.stringNorm.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.stringInstrument = inst;
+        return getNormalization(inst, 'sf:MusyngKite:string_ensemble_1', { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          if (!mounted) return;
+          nodes.stringInstrument = balanceInstrument(inst, noteGains);
+          rampNormalizationGain(nodes.stringNorm, gain);
+        });
       })
       .catch(() => {});
 
     Soundfont.instrument(ctx, 'cello', { soundfont: 'MusyngKite' })
       .then(inst => {
         if (!mounted) return;
-        nodes.celloInstrument = inst;
         if (inst.disconnect) {
           try { inst.disconnect(); } catch {}
         }
         if (inst.connect) inst.connect(nodes.celloNorm);
-        const gain = getNormalizationGain(inst, 'sf:cello');
-        nodes.celloNorm.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.celloInstrument = inst;
+        return getNormalization(inst, 'sf:MusyngKite:cello', { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          if (!mounted) return;
+          nodes.celloInstrument = balanceInstrument(inst, noteGains);
+          rampNormalizationGain(nodes.celloNorm, gain);
+        });
       })
       .catch(() => {});
 
     Soundfont.instrument(ctx, 'oboe', { soundfont: 'MusyngKite' })
       .then(inst => {
         if (!mounted) return;
-        nodes.oboeInstrument = inst;
         if (inst.disconnect) {
           try { inst.disconnect(); } catch {}
         }
         if (inst.connect) inst.connect(nodes.oboeNorm);
-        const gain = getNormalizationGain(inst, 'sf:oboe');
-        nodes.oboeNorm.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.oboeInstrument = inst;
+        return getNormalization(inst, 'sf:MusyngKite:oboe', { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          if (!mounted) return;
+          nodes.oboeInstrument = balanceInstrument(inst, noteGains);
+          rampNormalizationGain(nodes.oboeNorm, gain);
+        });
       })
       .catch(() => {});
 
     const scheduler = createScheduler(ctx, {
       bpm: bpmRef.current,
-      swing: 0.0,
+      groove: GROOVE,
+      grooves: BUS_GROOVES,
+      seed: seedRef.current,
+      meter: (bar) => getSectionForBar(bar).section.meter ?? DEFAULT_METER,
+    });
+    let cueBar = 0;
+    ARRANGEMENT.forEach((section) => {
+      scheduler.setCue(section.name, cueBar);
+      cueBar += section.bars;
     });
+    scheduler.setCue(END_CUE, TOTAL_BARS);
+    applyLoop(scheduler);
 
     function playPiano(time, chord, event, baseGain) {
       if (!nodes.pianoInstrument || !playingRef.current) return;
@@ -600,10 +714,10 @@ export default function Piano() {
       });
     }
 
-    function schedulePedalChord(time, chord, strength) {
+    function schedulePedalChord(time, chord, strength, meter) {
       if (!nodes.pianoInstrument || !playingRef.current) return;
       const secondsPerBeat = 60 / bpmRef.current;
-      const duration = secondsPerBeat * 4.2;
+      const duration = secondsPerBeat * quartersPerBar(meter) * 1.05;
       const notes = [resolveDegree(chord, 'bass'), resolveDegree(chord, 'fifth'), resolveDegree(chord, 2)];
       notes.forEach((note, idx) => {
         try {
@@ -615,9 +729,13 @@ export default function Piano() {
       });
     }
 
-    function scheduleStrings(time, chord, amount, mode, offset) {
+    // Layer timings are written in beats of a 4/4 bar; barBeat stretches that to the bar
+    // actually playing, so a 3/4 bar's entries never run into the next bar's
+    const barBeat = (meter) => (60 / bpmRef.current) * (quartersPerBar(meter) / 4);
+
+    function scheduleStrings(time, chord, amount, mode, offset, meter) {
       if (!playingRef.current || amount < SILENCE_EPS) return;
-      const secondsPerBeat = 60 / bpmRef.current;
+      const secondsPerBeat = barBeat(meter);
       const hold = mode === 'arcs' ? secondsPerBeat * 6 : secondsPerBeat * 8;
       const padNotes = chord.strings.slice(0, 3);
       if (nodes.stringInstrument) {
@@ -652,9 +770,9 @@ export default function Piano() {
       }
     }
 
-    function scheduleWinds(time, chord, amount, mode, offset) {
+    function scheduleWinds(time, chord, amount, mode, offset, barCount, meter) {
       if (!nodes.oboeInstrument || !playingRef.current || amount < SILENCE_EPS) return;
-      const secondsPerBeat = 60 / bpmRef.current;
+      const secondsPerBeat = barBeat(meter);
       const baseNotes = chord.winds;
       if (!baseNotes?.length) return;
       const noteIdx = (offset * 2) % baseNotes.length;
@@ -675,7 +793,7 @@ export default function Piano() {
           });
         } catch {}
       }
-      if (mode === 'sparse' && Math.random() < 0.3) {
+      if (mode === 'sparse' && scheduler.random(barCount, 'winds') < 0.3) {
         const gentle = baseNotes[(noteIdx + 1) % baseNotes.length];
         try {
           nodes.oboeInstrument.play(gentle, time + secondsPerBeat * 3.4, {
@@ -700,19 +818,20 @@ export default function Piano() {
       nodes.textureBus.gain.setTargetAtTime(textureLevelRef.current * amount, now, 0.6);
     }
 
-    function handleSixteenth(time, sixteenth, barCount) {
+    function handleSixteenth(time, sixteenth, barCount, bar, feel) {
       const { section } = arrangementStateRef.current;
       const base = section.intensity;
-      const pianoAmt = base.piano * pianoLevelRef.current;
-      const pattern = PIANO_PATTERNS[section.pianoPattern] || [];
-      for (const event of pattern) {
-        if (event.step === sixteenth) {
-          playPiano(time, chordRef.current, event, pianoAmt);
+      const piano = feel.bus('piano');
+      const pianoAmt = base.piano * pianoLevelRef.current * piano.velocity;
+      const track = PIANO_PATTERNS[section.pianoPattern];
+      if (track) {
+        for (const event of track.at(feel.songStep, sixteenth)) {
+          playPiano(piano.time, chordRef.current, event, pianoAmt);
         }
       }
 
-      if (section.sparkle > 0.01 && sixteenth === 7 && Math.random() < section.sparkle) {
-        playPiano(time + 0.03, chordRef.current, {
+      if (section.sparkle > 0.01 && sixteenth === 7 && feel.random('sparkle') < section.sparkle) {
+        playPiano(piano.time + 0.03, chordRef.current, {
           degrees: [4, 5],
           len16: 4,
           vel: 0.5,
@@ -721,9 +840,9 @@ export default function Piano() {
       }
     }
 
-    function handleBar(time, barCount) {
-      const effectiveBar = repeatRef.current ? (barCount % TOTAL_BARS) : barCount;
-      if (!repeatRef.current && barCount >= TOTAL_BARS) {
+    function handleBar(time, barCount, bar) {
+      // the loop region wraps before this while repeating
+      if (barCount >= TOTAL_BARS) {
         if (!fadeScheduledRef.current) {
           fadeScheduledRef.current = true;
           const fadeGain = nodes.masterGain;
@@ -739,19 +858,25 @@ export default function Piano() {
         return;
       }
 
-      const lookup = getSectionForBar(effectiveBar);
+      const lookup = getSectionForBar(barCount);
       arrangementStateRef.current = lookup;
-      const chord = CHORD_SEQUENCE[effectiveBar % CHORD_SEQUENCE.length];
+      const rit = lookup.section.ritardando;
+      if (lookup.isSectionStart) {
+        scheduler.setBpmAtBar(bpmRef.current, barCount);
+      } else if (rit && lookup.offset === lookup.section.bars - rit.bars) {
+        scheduler.rampBpm(bpmRef.current * (1 - rit.amount), { bar: barCount, bars: rit.bars, curve: 'exponential' });
+      }
+      const chord = CHORD_SEQUENCE[barCount % CHORD_SEQUENCE.length];
       chordRef.current = chord;
 
       const sec = lookup.section;
       const stringsAmt = sec.intensity.strings * stringsLevelRef.current;
       const windsAmt = sec.intensity.winds * windsLevelRef.current;
       updateTexture(sec.textureMode, sec.intensity.texture);
-      scheduleStrings(time, chord, stringsAmt, sec.stringMode, lookup.offset);
-      scheduleWinds(time, chord, windsAmt, sec.windMode, lookup.offset);
+      scheduleStrings(time, chord, stringsAmt, sec.stringMode, lookup.offset, bar.meter);
+      scheduleWinds(time, chord, windsAmt, sec.windMode, lookup.offset, barCount, bar.meter);
       if (sec.pedalChord) {
-        schedulePedalChord(time, chord, sec.intensity.piano * pianoLevelRef.current * 0.45);
+        schedulePedalChord(time, chord, sec.intensity.piano * pianoLevelRef.current * 0.45, bar.meter);
       }
     }
 
@@ -761,6 +886,7 @@ export default function Piano() {
 
     return () => {
       mounted = false;
+      analysis.abort();
       scheduler.stop();
       try { textureSource.stop(); } catch {}
       try { ctx.close(); } catch {}
@@ -770,6 +896,13 @@ export default function Piano() {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Repeat is a transport loop over the whole suite or one section, switched at a bar line
+  function applyLoop(scheduler) {
+    if (!repeatRef.current) scheduler.setLoop(null);
+    else if (loopRangeRef.current === LOOP_ALL) scheduler.setLoop(0, TOTAL_BARS);
+    else scheduler.loopCue(loopRangeRef.current);
+  }
+
   function getSectionForBar(bar) {
     let cursor = 0;
     for (let i = 0; i < ARRANGEMENT.length; i++) {
@@ -798,9 +931,15 @@ export default function Piano() {
   const play = async () => {
     if (!nodesRef.current?.ctx || !schedulerRef.current) return;
     await nodesRef.current.ctx.resume();
-    fadeScheduledRef.current = false;
-    arrangementStateRef.current = { section: ARRANGEMENT[0], index: 0, offset: 0 };
-    chordRef.current = CHORD_SEQUENCE[0];
+    // a paused reverie carries on from where it stopped; otherwise begin from the top
+    const resuming = schedulerRef.current.getState().paused;
+    if (!resuming) {
+      fadeScheduledRef.current = false;
+      arrangementStateRef.current = { section: ARRANGEMENT[0], index: 0, offset: 0 };
+      chordRef.current = CHORD_SEQUENCE[0];
+      // drop ritardandos left over from the previous run
+      schedulerRef.current.setBpm(bpmRef.current);
+    }
     updateToneShaping();
     if (nodesRef.current.masterGain) {
       const now = nodesRef.current.ctx.currentTime;
@@ -808,14 +947,15 @@ export default function Piano() {
       nodesRef.current.masterGain.gain.setTargetAtTime(0.88, now, 0.4);
     }
     if (!playingRef.current) {
-      schedulerRef.current.start(0.1);
+      if (resuming) schedulerRef.current.resume(0.1);
+      else schedulerRef.current.start(0.1);
       setPlaying(true);
     }
   };
 
-  const stop = () => {
+  const pause = () => {
     if (!schedulerRef.current || !nodesRef.current?.ctx) return;
-    schedulerRef.current.stop();
+    schedulerRef.current.pause();
     const ctx = nodesRef.current.ctx;
     const now = ctx.currentTime;
     if (nodesRef.current.masterGain) {
@@ -835,6 +975,8 @@ export default function Piano() {
         <span className="tag">soothing multi-part suite</span>
       </div>
 
+      {playing && nowPlaying && <div className="now-playing" aria-live="off">{nowPlaying}</div>}
+
       <div className="controls">
         <div className="slider-row">
           <label htmlFor="piano-bpm">Tempo<span className="value">{bpmDisplay}</span></label>
@@ -922,13 +1064,49 @@ export default function Piano() {
           />
           Repeat arrangement
         </label>
+
+        <div className="select-row">
+          <label htmlFor="loop-range">Repeat range</label>
+          <select
+            id="loop-range"
+            value={loopRange}
+            disabled={!repeat}
+            onChange={(ev) => setLoopRange(ev.target.value)}
+          >
+            <option value={LOOP_ALL}>Whole suite (bars 1–{TOTAL_BARS})</option>
+            {ARRANGEMENT.map((section, idx) => {
+              const start = ARRANGEMENT.slice(0, idx).reduce((sum, s) => sum + s.bars, 0);
+              return (
+                <option key={section.name} value={section.name}>
+                  {section.name} (bars {start + 1}–{start + section.bars})
+                </option>
+              );
+            })}
+          </select>
+        </div>
+
+        <div className="seed-row">
+          <label htmlFor="seed">Seed</label>
+          <input
+            id="seed"
+            type="number"
+            min="0"
+            max={MAX_SEED}
+            step="1"
+            value={seed}
+            onChange={(ev) => { const next = parseSeed(ev.target.value); if (next != null) setSeed(next); }}
+          />
+          <button type="button" onClick={() => setSeed(newSeed())}>New</button>
+        </div>
+
+        <MidiOutSelect onChange={(out) => schedulerRef.current?.setMidiOutput(out)} />
       </div>
 
       <button
         type="button"
         className="play-btn"
         data-state={playing ? 'playing' : 'stopped'}
-        onClick={playing ? stop : play}
+        onClick={playing ? pause : play}
       >
         {playing ? 'Pause The Reverie' : 'Begin The Reverie'}
       </button>
@@ -1,7 +1,11 @@
 import React, { useEffect, useRef, useState } from 'react';
 import Soundfont from 'soundfont-player';
-import createScheduler from './audio/scheduler.js';
-import { getNormalizationGain } from './audio/normalization.js';
+import createScheduler, { gridTicks, quartersPerBar } from './audio/scheduler.js';
+import { DEFAULT_LOUDNESS_TARGET, balanceInstrument, getNormalization, rampNormalizationGain } from './audio/normalization.js';
+import { MAX_SEED, newSeed, parseSeed } from './audio/random.js';
+import { createTrack } from './audio/sequencer.js';
+import MidiOutSelect from './MidiOutSelect.jsx';
+import { MIDI_CLOCK_PPQ, createMidiClockIn, createTapTempo, listMidiInputs, requestMidi } from './audio/midi.js';
 
 const ARRANGEMENT = [
   {
@@ -41,6 +45,7 @@ const ARRANGEMENT = [
     leadPattern: 'tease',
     hatPattern: 'light',
     fxMode: 'lift',
+    tempo: { shift: 2, curve: 'linear' },
   },
   {
     name: 'Drop One',
@@ -79,6 +84,7 @@ const ARRANGEMENT = [
     leadPattern: 'tease',
     hatPattern: 'light',
     fxMode: 'dive',
+    tempo: { shift: 0, curve: 'exponential' },
   },
   {
     name: 'Second Build',
@@ -98,6 +104,7 @@ const ARRANGEMENT = [
     leadPattern: 'sparkle',
     hatPattern: 'tight',
     fxMode: 'lift',
+    tempo: { shift: 3, curve: 'exponential' },
   },
   {
     name: 'Final Drop',
@@ -140,6 +147,25 @@ const ARRANGEMENT = [
 ];
 
 const TOTAL_BARS = ARRANGEMENT.reduce((acc, section) => acc + section.bars, 0);
+// Cue after the last section, so the final section can be looped like the others
+const END_CUE = 'End';
+// Where each control's changes land on the transport (see QUANTIZE_UNITS in audio/scheduler.js):
+// tempo moves on the bar, tone and levels on the beat, the fx wash on the bar
+const CONTROL_QUANTIZE = { bpm: 'bar', energy: 'beat', pad: 'beat', bass: 'beat', lead: 'beat', fx: 'bar' };
+// A section's `tempo` ramps from wherever the tempo is to the slider BPM + shift by the
+// section's last bar; sections without one hold the tempo they inherit.
+
+// Four-on-the-floor throughout; patterns below are written for 16 steps per bar
+const METER = { beats: 4, unit: 4 };
+// Tick resolution for the scheduler; 24 ppq puts 32nds (3 ticks) and 16th triplets (4 ticks) on the grid
+const PPQ = 24;
+const TICKS_16TH = gridTicks(PPQ, '16n');
+const TICKS_32ND = gridTicks(PPQ, '32n');
+// Groove templates (see audio/grooves.js): drums and bass ride a light 8th swing, leads and pads stay straight
+const GROOVE = 'straight';
+const BUS_GROOVES = { drums: 'swing8Light', bass: 'swing8Light', lead: 'straight' };
+// Soundfont instruments are matched by loudness, all to the same target (see audio/normalization.js)
+const LEVEL_MATCH = { mode: 'loudness', target: DEFAULT_LOUDNESS_TARGET };
 
 const CHORD_LIBRARY = {
   fm9: {
@@ -228,13 +254,13 @@ function transpose(note, semitones) {
 }
 
 const BASS_PATTERNS = {
-  none: [],
-  minimal: [
+  none: createTrack(),
+  minimal: createTrack({ events: [
     { step: 0, role: 'root', len16: 6, vel: 1.0 },
     { step: 8, role: 'root', len16: 4, vel: 0.85 },
     { step: 12, role: 'fifth', len16: 4, vel: 0.8 },
-  ],
-  rolling: [
+  ] }),
+  rolling: createTrack({ events: [
     { step: 0, role: 'root', len16: 6, vel: 1.05 },
     { step: 2, role: 'ghostDown', len16: 2, vel: 0.5 },
     { step: 4, role: 'fifth', len16: 4, vel: 0.95 },
@@ -242,8 +268,8 @@ const BASS_PATTERNS = {
     { step: 8, role: 'octave', len16: 4, vel: 0.98 },
     { step: 12, role: 'root', len16: 6, vel: 1.0 },
     { step: 14, role: 'ghostDown', len16: 2, vel: 0.58 },
-  ],
-  driving: [
+  ] }),
+  driving: createTrack({ events: [
     { step: 0, role: 'root', len16: 6, vel: 1.15 },
     { step: 1, role: 'ghostDown', len16: 1, vel: 0.48 },
     { step: 2, role: 'fifth', len16: 4, vel: 0.92 },
@@ -254,8 +280,8 @@ const BASS_PATTERNS = {
     { step: 10, role: 'fifth', len16: 3, vel: 0.9 },
     { step: 12, role: 'octave', len16: 6, vel: 1.1 },
     { step: 14, role: 'ghostUp', len16: 2, vel: 0.58 },
-  ],
-  anthem: [
+  ] }),
+  anthem: createTrack({ events: [
     { step: 0, role: 'root', len16: 6, vel: 1.2 },
     { step: 2, role: 'fifth', len16: 4, vel: 0.95 },
     { step: 4, role: 'octave', len16: 6, vel: 1.1 },
@@ -264,12 +290,12 @@ const BASS_PATTERNS = {
     { step: 10, role: 'fifth', len16: 3, vel: 0.92 },
     { step: 12, role: 'octave', len16: 6, vel: 1.18 },
     { step: 14, role: 'walkDown', len16: 2, vel: 0.78 },
-  ],
+  ] }),
 };
 
 const LEAD_PATTERNS = {
-  none: Array(16).fill(null),
-  tease: [
+  none: createTrack(),
+  tease: createTrack({ events: [
     null, null, null, null,
     { idx: 0, len16: 4, vel: 0.5 },
     null,
@@ -283,8 +309,8 @@ const LEAD_PATTERNS = {
     null,
     null,
     null,
-  ],
-  sparkle: [
+  ] }),
+  sparkle: createTrack({ events: [
     { idx: 0, len16: 2, vel: 0.48 },
     null,
     { idx: 1, len16: 2, vel: 0.42 },
@@ -301,8 +327,8 @@ const LEAD_PATTERNS = {
     null,
     { idx: 0, len16: 2, vel: 0.48 },
     null,
-  ],
-  anthem: [
+  ] }),
+  anthem: createTrack({ events: [
     { idx: 4, len16: 2, vel: 0.68 },
     null,
     { idx: 3, len16: 2, vel: 0.6 },
@@ -319,7 +345,7 @@ const LEAD_PATTERNS = {
     null,
     { idx: 0, len16: 2, vel: 0.58 },
     { idx: 2, len16: 2, vel: 0.55 },
-  ],
+  ] }),
 };
 
 function resolveBassRole(chord, role) {
@@ -371,6 +397,12 @@ function getSectionForBar(bar) {
   };
 }
 
+function getSectionStartBar(index) {
+  let bar = 0;
+  for (let i = 0; i < index && i < ARRANGEMENT.length; i++) bar += ARRANGEMENT[i].bars;
+  return bar;
+}
+
 function createNoiseBuffer(ctx) {
   const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
   const data = buffer.getChannelData(0);
@@ -414,12 +446,71 @@ export default function Techno() {
     return Math.min(138, Math.max(118, parsed));
   });
   const bpmRef = useRef(bpm);
+  // Slider value last set to show a followed tempo (tap, MIDI clock); the transport keeps
+  // running at the exact followed tempo in bpmRef instead of this rounded, clamped one
+  const followedBpmRef = useRef(null);
   useEffect(() => {
-    bpmRef.current = bpm;
     try { localStorage.setItem('bp_techno_bpm', String(bpm)); } catch {}
-    if (schedulerRef.current) schedulerRef.current.setBpm(bpm);
+    const followed = followedBpmRef.current === bpm;
+    followedBpmRef.current = null;
+    if (followed) return;
+    applyQuantized('bpm', () => {
+      bpmRef.current = bpm;
+      // under MIDI clock the tempo comes from syncBeat; the slider only shows it
+      if (schedulerRef.current && !followingRef.current) schedulerRef.current.setBpm(bpm);
+    });
   }, [bpm]);
 
+  // Tempo source: the slider, or MIDI clock from a drum machine or DAW; tap tempo works with either
+  const [syncSource, setSyncSource] = useState(() => (localStorage.getItem('bp_techno_sync') === 'midi' ? 'midi' : 'internal'));
+  const [syncStatus, setSyncStatus] = useState('');
+  const followingRef = useRef(false);
+  const tapRef = useRef(null);
+  if (!tapRef.current) tapRef.current = createTapTempo();
+  const transportRef = useRef({});
+
+  // An outside beat at performance time ms: show its tempo, and lock the transport to it
+  function followBeat(ms, externalBpm) {
+    const shown = Math.round(Math.min(138, Math.max(118, externalBpm)));
+    followedBpmRef.current = shown;
+    bpmRef.current = externalBpm;
+    setBpm(shown);
+    const scheduler = schedulerRef.current;
+    if (scheduler && playingRef.current) scheduler.syncBeat(scheduler.displayToAudioTime(ms), externalBpm);
+  }
+
+  function tap(ev) {
+    const ms = ev.timeStamp || performance.now();
+    const tapped = tapRef.current.tap(ms);
+    if (tapped) followBeat(ms, tapped);
+  }
+
+  useEffect(() => {
+    try { localStorage.setItem('bp_techno_sync', syncSource); } catch {}
+    followingRef.current = syncSource === 'midi';
+    if (syncSource !== 'midi') { setSyncStatus(''); return undefined; }
+    let cancelled = false;
+    let clockIn = null;
+    setSyncStatus('Waiting for MIDI access…');
+    requestMidi().then((access) => {
+      if (cancelled) return;
+      if (!access) { setSyncStatus('Web MIDI is not available'); return; }
+      const inputs = listMidiInputs(access);
+      setSyncStatus(inputs.length ? `Listening on ${inputs.map((i) => i.name).join(', ')}` : 'No MIDI inputs found');
+      clockIn = createMidiClockIn(access, {
+        onBeat: followBeat,
+        onStart: (ms) => transportRef.current.restartFromTop(ms),
+        onContinue: () => { if (!playingRef.current) transportRef.current.play(); },
+        onStop: () => { if (playingRef.current) transportRef.current.stop(); },
+      });
+    });
+    return () => {
+      cancelled = true;
+      if (clockIn) clockIn.disconnect();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncSource]);
+
   const [energy, setEnergy] = useState(() => {
     const stored = localStorage.getItem('bp_techno_energy');
     if (stored == null) return 0.6;
@@ -429,9 +520,11 @@ export default function Techno() {
   });
   const energyRef = useRef(energy);
   useEffect(() => {
-    energyRef.current = energy;
     try { localStorage.setItem('bp_techno_energy', String(energy)); } catch {}
-    updateEnergyCurve();
+    applyQuantized('energy', (time) => {
+      energyRef.current = energy;
+      updateEnergyCurve(time);
+    });
   }, [energy]);
 
   const [padLevel, setPadLevel] = useState(() => {
@@ -443,14 +536,16 @@ export default function Techno() {
   });
   const padLevelRef = useRef(padLevel);
   useEffect(() => {
-    padLevelRef.current = padLevel;
     try { localStorage.setItem('bp_techno_pad', String(padLevel)); } catch {}
-    const ctx = nodesRef.current?.ctx;
-    if (ctx && nodesRef.current.padBus) {
-      const now = ctx.currentTime;
-      nodesRef.current.padBus.gain.cancelScheduledValues(now);
-      nodesRef.current.padBus.gain.setTargetAtTime(padLevel, now, 0.08);
-    }
+    applyQuantized('pad', (time) => {
+      padLevelRef.current = padLevel;
+      const ctx = nodesRef.current?.ctx;
+      if (ctx && nodesRef.current.padBus) {
+        const at = time ?? ctx.currentTime;
+        nodesRef.current.padBus.gain.cancelScheduledValues(at);
+        nodesRef.current.padBus.gain.setTargetAtTime(padLevel, at, 0.08);
+      }
+    });
   }, [padLevel]);
 
   const [bassLevel, setBassLevel] = useState(() => {
@@ -462,14 +557,16 @@ export default function Techno() {
   });
   const bassLevelRef = useRef(bassLevel);
   useEffect(() => {
-    bassLevelRef.current = bassLevel;
     try { localStorage.setItem('bp_techno_bass', String(bassLevel)); } catch {}
-    const ctx = nodesRef.current?.ctx;
-    if (ctx && nodesRef.current.bassBus) {
-      const now = ctx.currentTime;
-      nodesRef.current.bassBus.gain.cancelScheduledValues(now);
-      nodesRef.current.bassBus.gain.setTargetAtTime(bassLevel, now, 0.08);
-    }
+    applyQuantized('bass', (time) => {
+      bassLevelRef.current = bassLevel;
+      const ctx = nodesRef.current?.ctx;
+      if (ctx && nodesRef.current.bassBus) {
+        const at = time ?? ctx.currentTime;
+        nodesRef.current.bassBus.gain.cancelScheduledValues(at);
+        nodesRef.current.bassBus.gain.setTargetAtTime(bassLevel, at, 0.08);
+      }
+    });
   }, [bassLevel]);
 
   const [leadLevel, setLeadLevel] = useState(() => {
@@ -481,14 +578,16 @@ export default function Techno() {
   });
   const leadLevelRef = useRef(leadLevel);
   useEffect(() => {
-    leadLevelRef.current = leadLevel;
     try { localStorage.setItem('bp_techno_lead', String(leadLevel)); } catch {}
-    const ctx = nodesRef.current?.ctx;
-    if (ctx && nodesRef.current.leadBus) {
-      const now = ctx.currentTime;
-      nodesRef.current.leadBus.gain.cancelScheduledValues(now);
-      nodesRef.current.leadBus.gain.setTargetAtTime(leadLevel, now, 0.08);
-    }
+    applyQuantized('lead', (time) => {
+      leadLevelRef.current = leadLevel;
+      const ctx = nodesRef.current?.ctx;
+      if (ctx && nodesRef.current.leadBus) {
+        const at = time ?? ctx.currentTime;
+        nodesRef.current.leadBus.gain.cancelScheduledValues(at);
+        nodesRef.current.leadBus.gain.setTargetAtTime(leadLevel, at, 0.08);
+      }
+    });
   }, [leadLevel]);
 
   const [fxLevel, setFxLevel] = useState(() => {
@@ -500,31 +599,89 @@ export default function Techno() {
   });
   const fxLevelRef = useRef(fxLevel);
   useEffect(() => {
-    fxLevelRef.current = fxLevel;
     try { localStorage.setItem('bp_techno_fx', String(fxLevel)); } catch {}
-    const ctx = nodesRef.current?.ctx;
-    if (ctx && nodesRef.current.fxBus) {
-      const now = ctx.currentTime;
-      nodesRef.current.fxBus.gain.cancelScheduledValues(now);
-      nodesRef.current.fxBus.gain.setTargetAtTime(fxLevel, now, 0.1);
-    }
+    applyQuantized('fx', (time) => {
+      fxLevelRef.current = fxLevel;
+      const ctx = nodesRef.current?.ctx;
+      if (ctx && nodesRef.current.fxBus) {
+        const at = time ?? ctx.currentTime;
+        nodesRef.current.fxBus.gain.cancelScheduledValues(at);
+        nodesRef.current.fxBus.gain.setTargetAtTime(fxLevel, at, 0.1);
+      }
+    });
   }, [fxLevel]);
 
   const [playing, setPlaying] = useState(false);
   const playingRef = useRef(false);
   useEffect(() => { playingRef.current = playing; }, [playing]);
 
+  // What the listener is hearing right now, refreshed every animation frame while playing
+  const [nowPlaying, setNowPlaying] = useState('');
+  useEffect(() => {
+    if (!playing) return undefined;
+    let frame = 0;
+    const draw = () => {
+      const pos = schedulerRef.current?.getPosition();
+      if (pos) {
+        const { section, offset } = getSectionForBar(pos.bar);
+        const label = `${section.name} · bar ${offset + 1}/${section.bars} · beat ${pos.beat + 1}`;
+        setNowPlaying(label);
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [playing]);
+
+  // Section to launch from; changing it while playing jumps there at the next bar line
+  const [startSection, setStartSection] = useState(0);
+  // Keep repeating the selected section instead of running through the arrangement
+  const [loopSection, setLoopSection] = useState(false);
+  useEffect(() => {
+    const scheduler = schedulerRef.current;
+    if (!scheduler) return;
+    if (!loopSection) {
+      scheduler.setLoop(null);
+      return;
+    }
+    const name = ARRANGEMENT[startSection].name;
+    scheduler.loopCue(name);
+    // a playhead before the section would take a while to get there; go now
+    const { loop, barCount, playing: running } = scheduler.getState();
+    if (running && barCount < loop.start) scheduler.jumpToCue(name);
+  }, [loopSection, startSection]);
+
+  // Seed for the shuffle hats, perc ticks and stabs; the same seed replays a session note for note
+  const [seed, setSeed] = useState(() => parseSeed(localStorage.getItem('bp_techno_seed')) ?? newSeed());
+  const seedRef = useRef(seed);
+  useEffect(() => {
+    seedRef.current = seed;
+    try { localStorage.setItem('bp_techno_seed', String(seed)); } catch {}
+    if (schedulerRef.current) schedulerRef.current.setSeed(seed);
+  }, [seed]);
+
   const nodesRef = useRef({});
   const schedulerRef = useRef(null);
   const arrangementStateRef = useRef({ section: ARRANGEMENT[0], index: 0, offset: 0 });
   const chordRef = useRef(CHORD_SEQUENCE[0]);
   const fadeScheduledRef = useRef(false);
+  // Pending end-of-track stop; cleared whenever the transport is started, stopped or moved
+  const fadeTimerRef = useRef(null);
+
+  // Route a control change through the transport so it lands on that control's boundary;
+  // apply(time) gets the boundary's audio time, or null before the scheduler exists
+  function applyQuantized(control, apply) {
+    const scheduler = schedulerRef.current;
+    if (scheduler) scheduler.applyAt(CONTROL_QUANTIZE[control], apply, control);
+    else apply(null);
+  }
 
-  function updateEnergyCurve() {
+  // at: audio time for the new curve to start from (default: now)
+  function updateEnergyCurve(at) {
     const ctx = nodesRef.current?.ctx;
     const nodes = nodesRef.current;
     if (!ctx || !nodes?.colorLow || !nodes?.colorHigh || !nodes?.drive) return;
-    const now = ctx.currentTime;
+    const now = at ?? ctx.currentTime;
     const amount = energyRef.current;
     // low shelf: tame lows at low energy, boost at high
     const lowGain = -4 + amount * 6;
@@ -711,62 +868,82 @@ export default function Techno() {
     nodesRef.current = nodes;
 
     let isMounted = true;
+    // instruments play at unity until their level analysis lands; unmounting cancels it
+    const analysis = new AbortController();
     Soundfont.instrument(ctx, 'synth_bass_2', { soundfont: 'MusyngKite' })
       .then(inst => {
         if (!isMounted) return;
-        nodes.bassInstrument = inst;
         if (inst.disconnect) {
           try { inst.disconnect(); } catch {}
         }
         if (inst.connect) inst.connect(nodes.bassNorm);
-        const gain = getNormalizationGain(inst, 'sf:synth_bass_2');
-        nodes.bassNorm.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.bassInstrument = inst;
+        return getNormalization(inst, 'sf:MusyngKite:synth_bass_2', { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          if (!isMounted) return;
+          nodes.bassInstrument = balanceInstrument(inst, noteGains);
+          rampNormalizationGain(nodes.bassNorm, gain);
+        });
       })
       .catch(() => {});
 
     Soundfont.instrument(ctx, 'synth_strings_1', { soundfont: 'MusyngKite' })
       .then(inst => {
         if (!isMounted) return;
-        nodes.padInstrument = inst;
         if (inst.disconnect) {
           try { inst.disconnect(); } catch {}
         }
         if (inst.connect) inst.connect(nodes.padNorm);
-        const gain = getNormalizationGain(inst, 'sf:synth_strings_1');
-        nodes.padNorm.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.padInstrument = inst;
+        return getNormalization(inst, 'sf:MusyngKite:synth_strings_1', { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          if (!isMounted) return;
+          nodes.padInstrument = balanceInstrument(inst, noteGains);
+          rampNormalizationGain(nodes.padNorm, gain);
+        });
       })
       .catch(() => {});
 
     Soundfont.instrument(ctx, 'lead_2_sawtooth', { soundfont: 'MusyngKite' })
       .then(inst => {
         if (!isMounted) return;
-        nodes.leadInstrument = inst;
         if (inst.disconnect) {
           try { inst.disconnect(); } catch {}
         }
         if (inst.connect) inst.connect(nodes.leadNorm);
-        const gain = getNormalizationGain(inst, 'sf:lead_2_sawtooth');
-        nodes.leadNorm.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.leadInstrument = inst;
+        return getNormalization(inst, 'sf:MusyngKite:lead_2_sawtooth', { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          if (!isMounted) return;
+          nodes.leadInstrument = balanceInstrument(inst, noteGains);
+          rampNormalizationGain(nodes.leadNorm, gain);
+        });
       })
       .catch(() => {});
 
     Soundfont.instrument(ctx, 'synth_brass_1', { soundfont: 'MusyngKite' })
       .then(inst => {
         if (!isMounted) return;
-        nodes.stabInstrument = inst;
         if (inst.disconnect) {
           try { inst.disconnect(); } catch {}
         }
         if (inst.connect) inst.connect(nodes.stabNorm);
-        const gain = getNormalizationGain(inst, 'sf:synth_brass_1');
-        nodes.stabNorm.gain.value = Number.isFinite(gain) ? gain : 1;
+        nodes.stabInstrument = inst;
+        return getNormalization(inst, 'sf:MusyngKite:synth_brass_1', { ...LEVEL_MATCH, signal: analysis.signal }).then(({ gain, noteGains }) => {
+          if (!isMounted) return;
+          nodes.stabInstrument = balanceInstrument(inst, noteGains);
+          rampNormalizationGain(nodes.stabNorm, gain);
+        });
       })
       .catch(() => {});
 
     const scheduler = createScheduler(ctx, {
       bpm: bpmRef.current,
-      swing: 0.1,
+      groove: GROOVE,
+      grooves: BUS_GROOVES,
+      meter: METER,
+      ppq: PPQ,
+      seed: seedRef.current,
     });
+    ARRANGEMENT.forEach((section, idx) => scheduler.setCue(section.name, getSectionStartBar(idx)));
+    scheduler.setCue(END_CUE, TOTAL_BARS);
 
     function triggerKick(time, amt = 1) {
       if (!playingRef.current) return;
@@ -910,10 +1087,10 @@ export default function Techno() {
       src.stop(time + lengthSec + 0.3);
     }
 
-    function schedulePadChord(time, chord, padAmt) {
+    function schedulePadChord(time, chord, padAmt, meter) {
       if (!nodes.padInstrument || !playingRef.current) return;
       const secondsPerBeat = 60 / bpmRef.current;
-      const duration = secondsPerBeat * 4 * 0.95;
+      const duration = secondsPerBeat * quartersPerBar(meter) * 0.95;
       chord.pad.forEach((note, idx) => {
         const weight = idx === 0 ? 0.6 : 0.4;
         try {
@@ -969,7 +1146,7 @@ export default function Techno() {
       } catch {}
     }
 
-    function handleSixteenth(time, sixteenth, barCount) {
+    function handleSixteenth(time, sixteenth, barCount, bar, feel) {
       const { section, offset } = arrangementStateRef.current;
       const energy = energyRef.current;
       const base = section.intensity;
@@ -979,86 +1156,101 @@ export default function Techno() {
       const bassAmt = base.bass * (0.85 + energy * 0.5) * bassLevelRef.current;
       const leadAmt = base.lead * (0.7 + energy * 0.65) * leadLevelRef.current;
       const barsRemaining = section.bars - offset - 1;
+      const lastStep = bar.steps - 1;
+      const drums = feel.bus('drums');
+      const bass = feel.bus('bass');
+      const lead = feel.bus('lead');
 
       const beatIndex = sixteenth % 4;
       if (beatIndex === 0) {
         const accent = base.kick * (0.85 + energy * 0.3);
-        triggerKick(time, accent);
+        triggerKick(drums.time, accent * drums.velocity);
       }
 
       if ((sixteenth === 4 || sixteenth === 12) && base.clap > 0.01) {
         const clapAmt = base.clap * (0.7 + energy * 0.35);
-        triggerClap(time, clapAmt);
+        triggerClap(drums.time, clapAmt * drums.velocity);
       }
 
       if (sixteenth % 2 === 0) {
         const downbeatBoost = beatIndex === 0 ? 1.08 : 1;
         const scale = section.hatPattern === 'light' ? 0.78 : section.hatPattern === 'tight' ? 0.95 : 1.1;
-        triggerHat(time, hatEnergy * scale * downbeatBoost, false);
+        triggerHat(drums.time, hatEnergy * scale * downbeatBoost * drums.velocity, false);
       }
 
       if (section.hatPattern !== 'light' && sixteenth % 2 === 1 && shuffleEnergy > 0.02) {
         const chance = section.hatPattern === 'tight' ? 0.65 : 0.45;
-        if (Math.random() < chance) {
-          triggerHat(time, shuffleEnergy * 0.72, false);
+        if (feel.random('hat') < chance) {
+          triggerHat(drums.time, shuffleEnergy * 0.72 * drums.velocity, false);
         }
       }
 
       if (openEnergy > 0.01 && (sixteenth === 6 || sixteenth === 14)) {
-        triggerHat(time, openEnergy, true);
+        triggerHat(drums.time, openEnergy * drums.velocity, true);
       }
 
-      if (section.hatPattern !== 'light' && sixteenth === 15 && Math.random() < 0.4) {
-        triggerPercTick(time, base.hatsShuffle * 0.5);
+      if (section.hatPattern !== 'light' && sixteenth === lastStep && feel.random('perc') < 0.4) {
+        triggerPercTick(drums.time, base.hatsShuffle * 0.5 * drums.velocity);
       }
 
       if (section.fxMode === 'lift' && barsRemaining === 0 && sixteenth === 0) {
         const secondsPerBeat = 60 / bpmRef.current;
-        triggerRiser(time, secondsPerBeat * 4, base.fx * fxLevelRef.current);
+        triggerRiser(time, secondsPerBeat * quartersPerBar(bar.meter), base.fx * fxLevelRef.current);
       }
 
-      const bassPattern = BASS_PATTERNS[section.bassPattern] || [];
-      for (const event of bassPattern) {
-        if (event.step === sixteenth) {
-          triggerBass(time, chordRef.current, event, bassAmt);
-        }
+      const bassTrack = BASS_PATTERNS[section.bassPattern] || BASS_PATTERNS.none;
+      for (const event of bassTrack.at(feel.songStep, sixteenth)) {
+        triggerBass(bass.time, chordRef.current, event, bassAmt * bass.velocity);
       }
 
-      const leadPattern = LEAD_PATTERNS[section.leadPattern] || [];
-      const leadEvent = leadPattern[sixteenth];
-      if (leadEvent) {
-        triggerLead(time, chordRef.current, leadEvent, leadAmt);
+      const leadTrack = LEAD_PATTERNS[section.leadPattern] || LEAD_PATTERNS.none;
+      for (const event of leadTrack.at(feel.songStep, sixteenth)) {
+        triggerLead(lead.time, chordRef.current, event, leadAmt * lead.velocity);
       }
 
-      if (section.fxMode === 'impact' && sixteenth === 0 && offset % 4 === 0 && base.fx > 0.05) {
-        triggerPercTick(time + 0.18, base.fx * 0.6);
+      if (section.leadPattern === 'anthem' && sixteenth === 12 && feel.random('stab') < 0.6) {
+        maybeTriggerChordStab(lead.time + 0.02, chordRef.current, base.lead * 0.35 * leadLevelRef.current * lead.velocity);
       }
+    }
+
+    // Off-grid accents that sit on 32nds rather than 16ths
+    function handleTick(time, tick, barCount, bar, feel) {
+      const { section, offset } = arrangementStateRef.current;
+      const base = section.intensity;
+      const drums = feel.bus('drums');
 
-      if (section.fxMode === 'dive' && sixteenth === 0 && base.fx > 0.1 && offset % 2 === 0) {
-        triggerPercTick(time + 0.12, base.fx * 0.4);
+      if (section.fxMode === 'impact' && tick === 3 * TICKS_32ND && offset % 4 === 0 && base.fx > 0.05) {
+        triggerPercTick(drums.time, base.fx * 0.6);
       }
 
-      if (section.fxMode === 'impact' && sixteenth === 15 && (offset + 1) % 8 === 0) {
-        triggerClap(time + 0.1, base.fx * 0.9);
+      if (section.fxMode === 'dive' && tick === 2 * TICKS_32ND && base.fx > 0.1 && offset % 2 === 0) {
+        triggerPercTick(drums.time, base.fx * 0.4);
       }
 
-      if (section.leadPattern === 'anthem' && sixteenth === 12 && Math.random() < 0.6) {
-        maybeTriggerChordStab(time + 0.02, chordRef.current, base.lead * 0.35 * leadLevelRef.current);
+      const pickupTick = (bar.steps - 1) * TICKS_16TH + TICKS_32ND;
+      if (section.fxMode === 'impact' && tick === pickupTick && (offset + 1) % 8 === 0) {
+        triggerClap(drums.time, base.fx * 0.9);
       }
     }
 
-    function handleBar(time, barCount) {
+    function handleBar(time, barCount, bar) {
       const lookup = getSectionForBar(barCount);
       const prev = arrangementStateRef.current;
       arrangementStateRef.current = lookup;
       const changed = prev.section !== lookup.section;
+      // an external clock owns the tempo, so section tempo shifts sit out
+      if (lookup.isSectionStart && lookup.section.tempo && !followingRef.current) {
+        const { shift, curve } = lookup.section.tempo;
+        scheduler.rampBpm(bpmRef.current + shift, { bar: barCount, bars: lookup.section.bars, curve });
+      }
       const chord = CHORD_SEQUENCE[barCount % CHORD_SEQUENCE.length];
       chordRef.current = chord;
 
       const padAmt = lookup.section.intensity.pad * padLevelRef.current;
-      schedulePadChord(time, chord, padAmt);
+      schedulePadChord(time, chord, padAmt, bar.meter);
 
-      if (changed && barCount > 0) {
+      // a seek into the middle of a section should not fire that section's entrance fx
+      if (changed && barCount > 0 && (!bar.seek || lookup.isSectionStart)) {
         const secondsPerBeat = 60 / bpmRef.current;
         if (lookup.section.fxMode === 'impact') {
           triggerImpact(time, lookup.section.intensity.fx * fxLevelRef.current * 1.1);
@@ -1079,7 +1271,8 @@ export default function Techno() {
         const now = ctx.currentTime;
         fadeGain.gain.cancelScheduledValues(now);
         fadeGain.gain.setTargetAtTime(0.0001, time, 1.5);
-        setTimeout(() => {
+        fadeTimerRef.current = setTimeout(() => {
+          fadeTimerRef.current = null;
           if (!schedulerRef.current) return;
           schedulerRef.current.stop();
           setPlaying(false);
@@ -1087,16 +1280,18 @@ export default function Techno() {
       }
     }
 
-    scheduler.setCallbacks({
-      onSixteenth: handleSixteenth,
-      onBar: handleBar,
-    });
+    // Arrangement, patterns and 32nd fx are separate layers on the same transport
+    scheduler.on('bar', handleBar);
+    scheduler.on('step', handleSixteenth);
+    scheduler.on('tick', handleTick);
 
     schedulerRef.current = scheduler;
     updateEnergyCurve();
 
     return () => {
       isMounted = false;
+      analysis.abort();
+      cancelEndFade();
       scheduler.stop();
       try { ctx.close(); } catch {}
       nodesRef.current = {};
@@ -1105,26 +1300,61 @@ export default function Techno() {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const play = async () => {
+  function cancelEndFade() {
+    clearTimeout(fadeTimerRef.current);
+    fadeTimerRef.current = null;
+    fadeScheduledRef.current = false;
+  }
+
+  // Start the transport at bar, its first 16th delay seconds from now
+  async function startTransport({ bar, delay }) {
     if (!nodesRef.current?.ctx || !schedulerRef.current) return;
     await nodesRef.current.ctx.resume();
-    fadeScheduledRef.current = false;
-    arrangementStateRef.current = { section: ARRANGEMENT[0], index: 0, offset: 0 };
-    chordRef.current = CHORD_SEQUENCE[0];
+    cancelEndFade();
+    // drop tempo ramps left over from the previous run
+    schedulerRef.current.setBpm(bpmRef.current);
     updateEnergyCurve();
     if (nodesRef.current.masterGain) {
       const now = nodesRef.current.ctx.currentTime;
       nodesRef.current.masterGain.gain.cancelScheduledValues(now);
       nodesRef.current.masterGain.gain.setTargetAtTime(0.9, now, 0.25);
     }
-    if (!playingRef.current) {
-      schedulerRef.current.start(0.1);
+    if (!schedulerRef.current.getState().playing) {
+      // arrangement state is rebuilt by the first onBar, which reports the start as a seek
+      schedulerRef.current.start({ bar, delay });
       setPlaying(true);
     }
+  }
+
+  const play = () => startTransport({ bar: getSectionStartBar(startSection), delay: 0.1 });
+
+  // MIDI Start at performance time ms: play from the top whatever the start section, with the
+  // downbeat on the first clock pulse after the message; syncBeat takes it from there
+  const restartFromTop = (ms) => {
+    const scheduler = schedulerRef.current;
+    const ctx = nodesRef.current?.ctx;
+    if (!scheduler || !ctx) return;
+    scheduler.stop();
+    const downbeat = scheduler.displayToAudioTime(ms + 60000 / (bpmRef.current * MIDI_CLOCK_PPQ));
+    startTransport({ bar: 0, delay: Math.max(0.01, downbeat - ctx.currentTime) });
+  };
+
+  const jumpToSection = (index) => {
+    setStartSection(index);
+    if (!playingRef.current || !schedulerRef.current) return;
+    cancelEndFade();
+    schedulerRef.current.jumpToCue(ARRANGEMENT[index].name);
+    // undo an end-of-track fade that may already be under way
+    const { ctx, masterGain } = nodesRef.current;
+    if (ctx && masterGain) {
+      masterGain.gain.cancelScheduledValues(ctx.currentTime);
+      masterGain.gain.setTargetAtTime(0.9, ctx.currentTime, 0.25);
+    }
   };
 
   const stop = () => {
     if (!schedulerRef.current || !nodesRef.current?.ctx) return;
+    cancelEndFade();
     schedulerRef.current.stop();
     const ctx = nodesRef.current.ctx;
     const now = ctx.currentTime;
@@ -1136,6 +1366,8 @@ export default function Techno() {
     setPlaying(false);
   };
 
+  transportRef.current = { play, stop, restartFromTop };
+
   const bpmDisplay = `${Math.round(bpm)} BPM`;
 
   return (
@@ -1145,6 +1377,8 @@ export default function Techno() {
         <span className="tag">~5 minute arrangement</span>
       </div>
 
+      {playing && nowPlaying && <div className="now-playing" aria-live="off">{nowPlaying}</div>}
+
       <div className="controls">
         <div className="slider-row">
           <label htmlFor="bpm">Tempo<span className="value">{bpmDisplay}</span></label>
@@ -1155,10 +1389,22 @@ export default function Techno() {
             max="138"
             step="1"
             value={bpm}
+            disabled={syncSource === 'midi'}
             onChange={(ev) => setBpm(Number(ev.target.value))}
           />
         </div>
 
+        <div className="sync-row">
+          <label htmlFor="sync">Sync</label>
+          <select id="sync" value={syncSource} onChange={(ev) => setSyncSource(ev.target.value)}>
+            <option value="internal">Internal</option>
+            <option value="midi">MIDI clock in</option>
+          </select>
+          <button type="button" onPointerDown={tap}>Tap</button>
+        </div>
+        {syncStatus && <div className="sync-status">{syncStatus}</div>}
+        <MidiOutSelect onChange={(out) => schedulerRef.current?.setMidiOutput(out)} />
+
         <div className="slider-row">
           <label htmlFor="energy">Energy / Drive<span className="value">{(energy * 100).toFixed(0)}%</span></label>
           <input
@@ -1223,6 +1469,44 @@ export default function Techno() {
             onChange={(ev) => setFxLevel(Number(ev.target.value))}
           />
         </div>
+
+        <div className="select-row">
+          <label htmlFor="section">{playing ? 'Jump to section' : 'Start at section'}</label>
+          <select
+            id="section"
+            value={startSection}
+            onChange={(ev) => jumpToSection(Number(ev.target.value))}
+          >
+            {ARRANGEMENT.map((section, idx) => (
+              <option key={section.name} value={idx}>
+                {section.name} (bar {getSectionStartBar(idx) + 1})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <label className="option-row">
+          <input
+            type="checkbox"
+            checked={loopSection}
+            onChange={(ev) => setLoopSection(ev.target.checked)}
+          />
+          Loop section
+        </label>
+
+        <div className="seed-row">
+          <label htmlFor="seed">Seed</label>
+          <input
+            id="seed"
+            type="number"
+            min="0"
+            max={MAX_SEED}
+            step="1"
+            value={seed}
+            onChange={(ev) => { const next = parseSeed(ev.target.value); if (next != null) setSeed(next); }}
+          />
+          <button type="button" onClick={() => setSeed(newSeed())}>New</button>
+        </div>
       </div>
 
       <button
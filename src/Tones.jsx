@@ -3,6 +3,7 @@ import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as Tone from 'tone';
 import Soundfont from 'soundfont-player';
 import rainLoopUrl from '../rain_loop.wav';
+import { MAX_SEED, newSeed, parseSeed, randomAt } from './audio/random.js';
 
 // How many bars per progression before switching (make 8 or 16 later if desired)
 const CHANGE_EVERY_BARS = 16;
@@ -14,6 +15,18 @@ const MINOR_POOLS = [
   [ ['D3','F3','A3','C4'], ['G3','B3','D4','F4'], ['C3','E3','G3','B3'], ['A3','C4','E4','G4'] ],
 ];
 
+// Progression for the change-th CHANGE_EVERY_BARS block, from the seed alone (never the same
+// pool twice in a row), so any block of a seed's piece comes out the same however it was reached
+function progressionFor(seed, change) {
+  let idx = -1;
+  for (let c = 0; c <= change; c++) {
+    let pick = Math.floor(randomAt(seed, 'progression', c) * MINOR_POOLS.length);
+    if (MINOR_POOLS.length > 1 && pick === idx) pick = (pick + 1) % MINOR_POOLS.length;
+    idx = pick;
+  }
+  return MINOR_POOLS[idx];
+}
+
 // Scheduling stability settings
 const SCHED_LOOKAHEAD_SEC = 0.4;
 const SCHED_UPDATE_INTERVAL_SEC = 0.06;
@@ -35,6 +48,13 @@ export default function Tones() {
   const BLEND_GAMMA = 0.415; // 0.5 ** 0.415 ≈ 0.75
   const blendCurve = (u) => Math.pow(Math.min(1, Math.max(0, u)), BLEND_GAMMA);
   useEffect(() => { blendRef.current = blendCurve(blend); }, [blend]);
+  // Seed for humanize offsets and progression picks; the same seed replays a session note for note
+  const [seed, setSeed] = useState(() => parseSeed(localStorage.getItem('bp_tones_seed')) ?? newSeed());
+  const seedRef = useRef(seed);
+  useEffect(() => {
+    seedRef.current = seed;
+    try { localStorage.setItem('bp_tones_seed', String(seed)); } catch {}
+  }, [seed]);
 
   const voices4 = true;
   const vibratoDepth = 0.03;
@@ -48,7 +68,6 @@ export default function Tones() {
   const buildDate = useMemo(() => new Date(typeof __BUILD_TIME__ !== 'undefined' ? __BUILD_TIME__ : Date.now()), []);
   const nodes = useRef({});
   const progressionRef = useRef(MINOR_POOLS[0]);
-  const lastIndexRef = useRef(-1);
 
   // Legacy prefetch removed; instrument is loaded when building the graph below.
 
@@ -109,11 +128,13 @@ export default function Tones() {
     transport.bpm.value = bpm;
 
     const HUMANIZE_SEC = 0.01;
+    // Offset keyed by voice and transport position, so it repeats exactly for a given seed
+    const humanize = (time, voice) => (randomAt(seedRef.current, voice, transport.getTicksAtTime(time)) - 0.5) * HUMANIZE_SEC;
     const chordPart = new Tone.Part((time, chordIndex) => {
       const prog = progressionRef.current;
       const base = prog[chordIndex % prog.length];
       const notes = base.slice(0, Math.min(4, base.length));
-      const offset = (Math.random() - 0.5) * HUMANIZE_SEC;
+      const offset = humanize(time, 'chord');
       const currentBlend = Math.max(0, Math.min(1, blendRef.current));
       if (nodes.current?.sfChord) {
         const dur = Tone.Time('1m').toSeconds();
@@ -123,24 +144,21 @@ export default function Tones() {
     }, [ ['0:0',0], ['1:0',1], ['2:0',2], ['3:0',3] ]);
     chordPart.loop = true; chordPart.loopEnd = '4m'; chordPart.start(0);
 
-    const kickPart = new Tone.Part((time) => { const off = (Math.random() - 0.5) * HUMANIZE_SEC; kick.triggerAttackRelease('C2','8n', time + off); }, ['0:0','1:0','2:0','2:3','3:0']);
+    const kickPart = new Tone.Part((time) => { const off = humanize(time, 'kick'); kick.triggerAttackRelease('C2','8n', time + off); }, ['0:0','1:0','2:0','2:3','3:0']);
     kickPart.loop = true; kickPart.loopEnd = '4m'; kickPart.start(0);
 
-    const snarePart = new Tone.Part((time) => { const off = (Math.random() - 0.5) * HUMANIZE_SEC; snrNoise.triggerAttackRelease('16n', time + off); }, ['0:2','1:2','2:2','3:2']);
+    const snarePart = new Tone.Part((time) => { const off = humanize(time, 'snare'); snrNoise.triggerAttackRelease('16n', time + off); }, ['0:2','1:2','2:2','3:2']);
     snarePart.loop = true; snarePart.loopEnd = '4m'; snarePart.start(0);
 
-    const hatLoop = new Tone.Loop((time) => { const off = (Math.random() - 0.5) * HUMANIZE_SEC; hat.triggerAttackRelease('16n', time + off); }, '8n').start(0);
+    const hatLoop = new Tone.Loop((time) => { const off = humanize(time, 'hat'); hat.triggerAttackRelease('16n', time + off); }, '8n').start(0);
 
     nodes.current = { limiter, mixBus, glue, rain, kick, snrNoise, hat, chordPart, kickPart, snarePart, hatLoop, wow, chordRev, width, chordFilter, chordIn, musicGain, rainGain };
 
-    const chooseProgression = () => {
-      const pools = MINOR_POOLS;
-      let idx = Math.floor(Math.random() * pools.length);
-      if (pools.length > 1 && idx === lastIndexRef.current) idx = (idx + 1) % pools.length;
-      lastIndexRef.current = idx; progressionRef.current = pools[idx];
-    };
-    chooseProgression();
-    const changeId = transport.scheduleRepeat(() => { chooseProgression(); }, `${CHANGE_EVERY_BARS}m`, `${CHANGE_EVERY_BARS}m`);
+    progressionRef.current = progressionFor(seedRef.current, 0);
+    const ticksPerChange = transport.PPQ * 4 * CHANGE_EVERY_BARS;
+    const changeId = transport.scheduleRepeat((time) => {
+      progressionRef.current = progressionFor(seedRef.current, Math.round(transport.getTicksAtTime(time) / ticksPerChange));
+    }, `${CHANGE_EVERY_BARS}m`, `${CHANGE_EVERY_BARS}m`);
 
     return () => {
       try { chordPart.dispose(); kickPart.dispose(); snarePart.dispose(); hatLoop.dispose(); } catch {}
@@ -175,6 +193,8 @@ export default function Tones() {
       await Tone.start();
       const { rain } = nodes.current;
       rain?.start();
+      // from the top the opening progression follows the seed as it is now
+      if (Tone.Transport.ticks === 0) progressionRef.current = progressionFor(seedRef.current, 0);
       Tone.Transport.start('+0.05');
       setPlaying(true);
     } else {
@@ -207,6 +227,14 @@ export default function Tones() {
         </div>
       </section>
 
+      <section className="seed-row" aria-label="Seed">
+        <label htmlFor="seed">Seed</label>
+        <input id="seed" type="number" min="0" max={MAX_SEED} step="1"
+               value={seed}
+               onChange={(e) => { const next = parseSeed(e.target.value); if (next != null) setSeed(next); }} />
+        <button type="button" onClick={() => setSeed(newSeed())}>New</button>
+      </section>
+
       <button id="play" className="play-btn" data-state={playing ? 'playing' : undefined} onClick={togglePlay}>
         {playing ? 'Pause' : 'Play'}
       </button>
@@ -0,0 +1,135 @@
+// Timer sources that drive the scheduler's lookahead loop.
+// - 'interval': setInterval on the main thread (throttled hard in background tabs)
+// - 'worker':   setInterval inside a dedicated Worker, which browsers throttle far less
+// - 'worklet':  counts render quanta in an AudioWorklet, so it ticks for as long as audio runs
+// Every clock has the same shape: { kind, start(onTick), stop() }.
+
+export const CLOCK_KINDS = ['interval', 'worker', 'worklet'];
+
+export function createIntervalClock(intervalMs) {
+  let timerId = null;
+  return {
+    kind: 'interval',
+    start(onTick) {
+      if (timerId) clearInterval(timerId);
+      timerId = setInterval(onTick, intervalMs);
+    },
+    stop() {
+      if (timerId) { clearInterval(timerId); timerId = null; }
+    },
+  };
+}
+
+const WORKER_SOURCE = `
+let timerId = null;
+onmessage = (e) => {
+  if (timerId) { clearInterval(timerId); timerId = null; }
+  if (e.data && e.data.type === 'start') {
+    timerId = setInterval(() => postMessage('tick'), e.data.intervalMs);
+  }
+};
+`;
+
+export function createWorkerClock(intervalMs) {
+  let worker = null;
+  let url = null;
+  return {
+    kind: 'worker',
+    start(onTick) {
+      if (!worker) {
+        url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+        worker = new Worker(url);
+      }
+      worker.onmessage = () => onTick();
+      worker.postMessage({ type: 'start', intervalMs });
+    },
+    stop() {
+      if (!worker) return;
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      worker = null;
+      url = null;
+    },
+  };
+}
+
+const WORKLET_NAME = 'bp-clock-tick';
+const WORKLET_SOURCE = `
+class ClockTickProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.framesPerTick = options.processorOptions.framesPerTick;
+    this.frames = 0;
+    this.running = true;
+    this.port.onmessage = (e) => { if (e.data === 'stop') this.running = false; };
+  }
+  process() {
+    this.frames += 128; // one render quantum
+    if (this.frames >= this.framesPerTick) {
+      this.frames -= this.framesPerTick;
+      this.port.postMessage('tick');
+    }
+    return this.running;
+  }
+}
+registerProcessor('${WORKLET_NAME}', ClockTickProcessor);
+`;
+
+// addModule is per context, so remember which contexts already have the processor
+const workletModules = new WeakMap();
+
+function loadWorkletModule(ctx) {
+  if (!workletModules.has(ctx)) {
+    const url = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'text/javascript' }));
+    const loading = ctx.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+    workletModules.set(ctx, loading);
+  }
+  return workletModules.get(ctx);
+}
+
+export function createWorkletClock(ctx, intervalMs) {
+  // The module loads asynchronously; keep time with a main-thread interval until it is ready
+  const fallback = createIntervalClock(intervalMs);
+  let node = null;
+  let running = false;
+  return {
+    kind: 'worklet',
+    start(onTick) {
+      running = true;
+      fallback.start(onTick);
+      loadWorkletModule(ctx).then(() => {
+        if (!running || node) return;
+        node = new AudioWorkletNode(ctx, WORKLET_NAME, {
+          numberOfInputs: 0,
+          outputChannelCount: [1],
+          processorOptions: { framesPerTick: Math.max(128, Math.round(ctx.sampleRate * intervalMs / 1000)) },
+        });
+        node.port.onmessage = () => onTick();
+        // the node renders silence; it only has to be pulled by the graph to keep counting
+        node.connect(ctx.destination);
+        fallback.stop();
+      }).catch(() => {});
+    },
+    stop() {
+      running = false;
+      fallback.stop();
+      if (!node) return;
+      node.port.postMessage('stop');
+      node.port.onmessage = null;
+      try { node.disconnect(); } catch {}
+      node = null;
+    },
+  };
+}
+
+// Build the requested clock, falling back to the main-thread interval when the
+// browser lacks Worker or AudioWorklet support.
+export default function createClock(kind, ctx, intervalMs) {
+  if (kind === 'worker' && typeof Worker !== 'undefined' && typeof URL !== 'undefined' && URL.createObjectURL) {
+    return createWorkerClock(intervalMs);
+  }
+  if (kind === 'worklet' && ctx && ctx.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+    return createWorkletClock(ctx, intervalMs);
+  }
+  return createIntervalClock(intervalMs);
+}
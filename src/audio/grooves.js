@@ -0,0 +1,59 @@
+// Groove templates for the scheduler. A template lists, per 16th, a timing offset
+// (fraction of a 16th; positive = late) and a velocity multiplier. Both lists repeat
+// across the bar, indexed by the 16th's position in the bar.
+
+// Classic swing on 8th offbeats (16ths 2, 6, 10, 14), delayed by `amount` of a 16th
+export function swing8(amount) {
+  return { timing: [0, 0, amount, 0], velocity: [1, 1, 1, 1] };
+}
+
+// MPC-style 16th swing: the second 16th of every 8th lands at pct% of the 8th
+// (50 = straight, 66 = triplet feel, 75 = dotted)
+export function mpcSwing(pct) {
+  return { timing: [0, (2 * pct) / 100 - 1], velocity: [1, 0.92] };
+}
+
+export const GROOVES = {
+  straight: { timing: [0], velocity: [1] },
+  mpc54: mpcSwing(54),
+  mpc58: mpcSwing(58),
+  mpc62: mpcSwing(62),
+  mpc66: mpcSwing(66),
+  mpc71: mpcSwing(71),
+  mpc75: mpcSwing(75),
+  // gentle 8th swing; 0.1 and 0.2 of a 16th
+  swing8Light: swing8(0.1),
+  swing8: swing8(0.2),
+  // 8th-note triplet shuffle: offbeats pushed to the last triplet, accented downbeats
+  shuffle: {
+    timing: [0, 1 / 3, 2 / 3, 1 / 3],
+    velocity: [1, 0.7, 0.88, 0.7],
+  },
+  // drummer sitting behind the beat, backbeats dragged the most
+  laidBack: {
+    timing: [0.03, 0.06, 0.05, 0.07, 0.12, 0.06, 0.05, 0.07, 0.03, 0.06, 0.05, 0.07, 0.12, 0.06, 0.05, 0.07],
+    velocity: [1, 0.82, 0.9, 0.8, 0.96, 0.82, 0.9, 0.8, 0.98, 0.82, 0.9, 0.8, 0.96, 0.82, 0.9, 0.8],
+  },
+  // ahead of the beat: offbeats rush, accents lean forward
+  push: {
+    timing: [0, -0.06, -0.04, -0.07, -0.02, -0.06, -0.04, -0.07],
+    velocity: [1, 0.9, 1.04, 0.9, 0.98, 0.9, 1.04, 0.9],
+  },
+};
+
+// Look up a template by name, or pass a { timing, velocity } object straight through
+export function resolveGroove(groove) {
+  if (!groove) return GROOVES.straight;
+  if (typeof groove === 'string') return GROOVES[groove] || GROOVES.straight;
+  const timing = Array.isArray(groove.timing) && groove.timing.length ? groove.timing : [0];
+  const velocity = Array.isArray(groove.velocity) && groove.velocity.length ? groove.velocity : [1];
+  return { timing, velocity };
+}
+
+export function grooveTiming(template, ix16) {
+  return template.timing[ix16 % template.timing.length] ?? 0;
+}
+
+export function grooveVelocity(template, ix16) {
+  return template.velocity[ix16 % template.velocity.length] ?? 1;
+}
@@ -0,0 +1,121 @@
+// Level measurements behind normalization.js, free of browser APIs so they run in the
+// analysis worker (normalization.worker.js) as well as on the main thread.
+// Samples are plain [{ midi, channels: Float32Array[], sampleRate }].
+
+const PEAK_CEILING = 1; // a loudness gain never pushes a sample past full scale
+const BLOCK_SEC = 0.4;
+const BLOCK_HOP_SEC = 0.1; // 75% overlap
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated level
+const REGISTER_SEMITONES = 2; // per-note corrections are averaged with neighbours this close
+const MAX_NOTE_CORRECTION_DB = 12;
+
+export function measurePeak(channels) {
+  let peak = 0;
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) {
+      const amp = Math.abs(data[i]);
+      if (amp > peak) peak = amp;
+    }
+  }
+  return peak;
+}
+
+// K-weighting as two biquads (high shelf, then high pass), derived for any sample rate
+function kWeightingFilters(sampleRate) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+  return [shelf, highPass];
+}
+
+function applyBiquad({ b, a }, input) {
+  const out = new Float32Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+// Mean square of each 400ms block (summed over channels) after K-weighting.
+// A sample shorter than one block counts as a single block.
+export function loudnessBlocks(channels, sampleRate) {
+  if (!channels.length || !channels[0].length) return [];
+  const filters = kWeightingFilters(sampleRate);
+  const weighted = channels.map((data) => filters.reduce((sig, filter) => applyBiquad(filter, sig), data));
+  const length = weighted[0].length;
+  const blockLen = Math.min(length, Math.round(BLOCK_SEC * sampleRate));
+  const hop = Math.max(1, Math.round(BLOCK_HOP_SEC * sampleRate));
+  const blocks = [];
+  for (let start = 0; start + blockLen <= length; start += hop) {
+    let sum = 0;
+    for (const data of weighted) {
+      for (let i = start; i < start + blockLen; i++) sum += data[i] * data[i];
+    }
+    blocks.push(sum / blockLen);
+  }
+  return blocks;
+}
+
+const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+// Gated integrated loudness (LUFS) over blocks from loudnessBlocks; -Infinity for silence
+export function integratedLoudness(blocks) {
+  const mean = (list) => list.reduce((sum, v) => sum + v, 0) / list.length;
+  const audible = blocks.filter((ms) => ms > 0 && toLufs(ms) > ABSOLUTE_GATE);
+  if (!audible.length) return -Infinity;
+  const threshold = toLufs(mean(audible)) + RELATIVE_GATE;
+  const gated = audible.filter((ms) => toLufs(ms) > threshold);
+  return toLufs(mean(gated));
+}
+
+const dbToGain = (db) => 10 ** (db / 20);
+// Per-note corrections in dB (instrument level minus note level), averaged over the
+// register around each note so one odd sample does not stand out, and clamped
+function noteCorrections(levels, instrumentLoudness) {
+  const raw = levels.filter((n) => Number.isFinite(n.loudness));
+  const table = {};
+  for (const { midi } of raw) {
+    const near = raw.filter((n) => Math.abs(n.midi - midi) <= REGISTER_SEMITONES);
+    const avg = near.reduce((sum, n) => sum + (instrumentLoudness - n.loudness), 0) / near.length;
+    const db = Math.max(-MAX_NOTE_CORRECTION_DB, Math.min(MAX_NOTE_CORRECTION_DB, avg));
+    table[midi] = dbToGain(db);
+  }
+  return table;
+}
+
+// { gain, noteGains }: gain for the whole instrument, noteGains as { [midi]: multiplier }
+export function analyzeSamples(samples, { mode, target }) {
+  const globalPeak = samples.reduce((peak, s) => Math.max(peak, measurePeak(s.channels)), 0);
+  if (mode === 'peak') {
+    return { gain: globalPeak > 0 ? 1 / globalPeak : 1, noteGains: {} };
+  }
+  // all notes are pooled as if played one after another, so the instrument gets one level
+  const perNote = samples.map((s) => ({ midi: s.midi, blocks: loudnessBlocks(s.channels, s.sampleRate) }));
+  const loudness = integratedLoudness(perNote.flatMap((n) => n.blocks));
+  if (!Number.isFinite(loudness)) return { gain: 1, noteGains: {} };
+  const gain = dbToGain(target - loudness);
+  const levels = perNote.map((n) => ({ midi: n.midi, loudness: integratedLoudness(n.blocks) }));
+  return {
+    gain: globalPeak > 0 ? Math.min(gain, PEAK_CEILING / globalPeak) : gain,
+    noteGains: noteCorrections(levels, loudness),
+  };
+}
@@ -0,0 +1,160 @@
+// MIDI clock, both ways.
+// In: external tempo sources the scheduler can follow (see syncBeat in scheduler.js)
+// - MIDI clock in: 24 pulses per quarter note plus start/continue/stop, via Web MIDI
+// - tap tempo: a button tapped on the beat
+// Both report beats as performance.now()-based times (ms) with a smoothed bpm;
+// scheduler.displayToAudioTime() turns those into AudioContext time.
+// Out: createMidiClockOut wraps a MIDIOutput for scheduler.setMidiOutput().
+// Everything takes its MIDIAccess / ports / timestamps as arguments, so a mock stands in for tests.
+
+export const MIDI_CLOCK = 0xf8;
+export const MIDI_START = 0xfa;
+export const MIDI_CONTINUE = 0xfb;
+export const MIDI_STOP = 0xfc;
+export const MIDI_SONG_POSITION = 0xf2;
+export const MIDI_CLOCK_PPQ = 24;
+
+const CLOCK_SMOOTHING_PULSES = 48; // average tempo over the last two beats of pulses
+const CLOCK_TIMEOUT_MS = 1000;     // longer without a pulse: the source went away
+const TAP_HISTORY = 4;             // taps averaged for the tempo
+const TAP_RESET_MS = 2000;         // a pause this long starts a new tap sequence
+const MIN_BPM = 30;
+const MAX_BPM = 300;
+
+// navigator.requestMIDIAccess wrapped to resolve null where Web MIDI is missing or refused
+export function requestMidi(nav = typeof navigator !== 'undefined' ? navigator : null) {
+  if (!nav || typeof nav.requestMIDIAccess !== 'function') return Promise.resolve(null);
+  return nav.requestMIDIAccess({ sysex: false }).catch(() => null);
+}
+
+// Inputs as [{ id, name }] for a picker
+export function listMidiInputs(access) {
+  if (!access) return [];
+  return [...access.inputs.values()].map((input) => ({ id: input.id, name: input.name || input.id }));
+}
+
+// Outputs as [{ id, name }] for a picker
+export function listMidiOutputs(access) {
+  if (!access) return [];
+  return [...access.outputs.values()].map((output) => ({ id: output.id, name: output.name || output.id }));
+}
+
+const clampBpm = (bpm) => Math.min(MAX_BPM, Math.max(MIN_BPM, bpm));
+
+// Follow MIDI clock on one input (inputId) or all of them (inputId omitted).
+// Callbacks: onBeat(ms, bpm) every quarter note once the tempo is known, onStart(ms),
+// onContinue(ms), onStop(ms). The beat count restarts at 0xFA, so onBeat lands on the
+// downbeats of the external sequencer.
+export function createMidiClockIn(access, { inputId, onBeat, onStart, onContinue, onStop } = {}) {
+  let inputs = [];
+  let pulses = []; // recent pulse timestamps
+  let pulseCount = 0;
+  let bpm = null;
+
+  function reset() {
+    pulses = [];
+    pulseCount = 0;
+  }
+
+  function handlePulse(ms) {
+    const last = pulses[pulses.length - 1];
+    if (last != null && ms - last > CLOCK_TIMEOUT_MS) {
+      pulses = [];
+      bpm = null;
+    }
+    pulses.push(ms);
+    if (pulses.length > CLOCK_SMOOTHING_PULSES + 1) pulses.shift();
+    if (pulses.length > MIDI_CLOCK_PPQ / 2) {
+      const spanMs = pulses[pulses.length - 1] - pulses[0];
+      const perPulseMs = spanMs / (pulses.length - 1);
+      if (perPulseMs > 0) bpm = clampBpm(60000 / (perPulseMs * MIDI_CLOCK_PPQ));
+    }
+    if (pulseCount % MIDI_CLOCK_PPQ === 0 && bpm && onBeat) onBeat(ms, bpm);
+    pulseCount += 1;
+  }
+
+  function handleMessage(event) {
+    const status = event.data && event.data[0];
+    const ms = event.timeStamp ?? performance.now();
+    if (status === MIDI_CLOCK) handlePulse(ms);
+    else if (status === MIDI_START) { reset(); if (onStart) onStart(ms); }
+    else if (status === MIDI_CONTINUE) { if (onContinue) onContinue(ms); }
+    else if (status === MIDI_STOP) { if (onStop) onStop(ms); }
+  }
+
+  function connect() {
+    disconnect();
+    if (!access) return;
+    inputs = [...access.inputs.values()].filter((input) => inputId == null || input.id === inputId);
+    inputs.forEach((input) => { input.onmidimessage = handleMessage; });
+  }
+
+  function disconnect() {
+    inputs.forEach((input) => { if (input.onmidimessage === handleMessage) input.onmidimessage = null; });
+    inputs = [];
+    reset();
+  }
+
+  connect();
+  return {
+    kind: 'midi',
+    disconnect,
+    getBpm: () => bpm,
+    isReceiving: () => pulses.length > 0 && performance.now() - pulses[pulses.length - 1] < CLOCK_TIMEOUT_MS,
+    handleMessage, // exposed so tests can feed messages without an input
+  };
+}
+
+// Tap tempo: tap(ms) on every beat; returns the smoothed bpm once two taps are in,
+// otherwise null. Calls onBeat(ms, bpm) for taps that have a tempo.
+export function createTapTempo({ onBeat } = {}) {
+  let taps = [];
+  return {
+    kind: 'tap',
+    tap(ms = performance.now()) {
+      if (taps.length && ms - taps[taps.length - 1] > TAP_RESET_MS) taps = [];
+      taps.push(ms);
+      if (taps.length > TAP_HISTORY + 1) taps.shift();
+      if (taps.length < 2) return null;
+      const bpm = clampBpm(60000 * (taps.length - 1) / (taps[taps.length - 1] - taps[0]));
+      if (onBeat) onBeat(ms, bpm);
+      return bpm;
+    },
+    reset() { taps = []; },
+  };
+}
+
+// Clock and transport messages for a MIDIOutput (or anything with send(data, timestamp)).
+// Timestamps are performance.now()-based ms, as Web MIDI expects; the scheduler converts
+// from AudioContext time so the pulses leave when the matching audio is heard.
+export function createMidiClockOut(output) {
+  function songPosition(ms, sixteenths) {
+    const spp = Math.max(0, Math.min(0x3fff, Math.round(sixteenths)));
+    output.send([MIDI_SONG_POSITION, spp & 0x7f, spp >> 7], ms);
+  }
+
+  return {
+    kind: 'midi-out',
+    output,
+    pulse(ms) {
+      output.send([MIDI_CLOCK], ms);
+    },
+    // play from the top
+    start(ms) {
+      output.send([MIDI_START], ms);
+    },
+    // move to a position given in 16ths since the top (MIDI beats) without stopping
+    songPosition,
+    // play from a position given in 16ths since the top
+    continueFrom(ms, sixteenths) {
+      songPosition(ms, sixteenths);
+      output.send([MIDI_CONTINUE], ms);
+    },
+    // flush: also drop pulses still queued for later, where the output supports clear()
+    // (Chrome does not; the scheduler never queues transport messages far ahead for that reason)
+    stop(ms, { flush = false } = {}) {
+      if (flush && typeof output.clear === 'function') output.clear();
+      output.send([MIDI_STOP], ms);
+    },
+  };
+}
@@ -1,38 +1,177 @@
+// Level matching for soundfont instruments. Two strategies:
+// - 'peak': scale so the loudest sample of any note hits full scale (one transient decides)
+// - 'loudness': integrated loudness in the style of ITU-R BS.1770 (K-weighted, gated mean
+//   square over 400ms blocks), scaled to a common LUFS target so instruments sound equally loud
+// Soundfont samples also vary across the keyboard, so the analysis yields a per-note gain
+// table too (relative to the instrument level, smoothed over a register); balanceInstrument
+// applies it on every play().
+// The measuring itself lives in levelAnalysis.js and runs in a Worker (normalization.worker.js)
+// where one is available, so loading instruments does not block the UI; until it finishes an
+// instrument plays at unity, then rampNormalizationGain eases it to the measured level.
+// Results are kept for the session and in IndexedDB (normalizationStore.js) across sessions.
+
+import { analyzeSamples } from './levelAnalysis.js';
+import { clearLevels, readLevels, writeLevels } from './normalizationStore.js';
+
+export const NORMALIZATION_MODES = ['peak', 'loudness'];
+export const DEFAULT_LOUDNESS_TARGET = -16; // LUFS; close to where peak-normalized notes sat
+export const NORMALIZATION_RAMP_SEC = 0.1;
+// Bump whenever the analysis changes (levelAnalysis.js constants included): stored results
+// from an older version are dropped instead of reused
+export const ANALYSIS_VERSION = 1;
+
 const gainCache = new Map();
 
-function computePeakNormalizationGain(instrument) {
-  let chosenGain = 1;
+// Decoded AudioBuffers of a soundfont-player instrument (keyed by MIDI note) as
+// [{ midi, channels, sampleRate }]
+function instrumentSamples(instrument) {
   const buffers = instrument && instrument.buffers;
-  if (!buffers || typeof buffers !== 'object') {
-    return chosenGain;
-  }
-  const entries = Object.values(buffers);
-  let globalPeak = 0;
-  for (const buf of entries) {
-    if (!buf) continue;
-    for (let ch = 0; ch < buf.numberOfChannels; ch++) {
-      const data = buf.getChannelData(ch);
-      for (let i = 0; i < data.length; i++) {
-        const amp = Math.abs(data[i]);
-        if (amp > globalPeak) globalPeak = amp;
-      }
-    }
+  if (!buffers || typeof buffers !== 'object') return [];
+  return Object.entries(buffers)
+    .filter(([, buf]) => buf)
+    .map(([midi, buf]) => ({
+      midi: Number(midi),
+      channels: Array.from({ length: buf.numberOfChannels }, (_, ch) => buf.getChannelData(ch)),
+      sampleRate: buf.sampleRate,
+    }));
+}
+
+const abortError = () => new DOMException('Normalization analysis was cancelled', 'AbortError');
+
+// analyzeSamples in a Worker; channel data is copied, so the instrument's buffers stay intact.
+// Runs on the main thread where Workers are missing. Aborting the signal terminates the worker.
+function analyzeOffThread(samples, options, signal) {
+  if (signal.aborted) return Promise.reject(abortError());
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve().then(() => analyzeSamples(samples, options));
   }
-  chosenGain = globalPeak > 0 ? 1 / globalPeak : 1;
-  return chosenGain;
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./normalization.worker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      worker.terminate();
+      signal.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => { finish(); reject(abortError()); };
+    worker.onmessage = (e) => {
+      finish();
+      if (e.data.error) reject(new Error(e.data.error));
+      else resolve(e.data.analysis);
+    };
+    worker.onerror = (e) => { finish(); reject(e.error || new Error(e.message)); };
+    signal.addEventListener('abort', onAbort);
+    const copies = samples.map((s) => ({ ...s, channels: s.channels.map((data) => data.slice()) }));
+    worker.postMessage({ samples: copies, options }, copies.flatMap((s) => s.channels.map((data) => data.buffer)));
+  });
 }
 
-export function getNormalizationGain(instrument, cacheKey) {
-  if (cacheKey && gainCache.has(cacheKey)) {
-    return gainCache.get(cacheKey);
+// One shared lookup per key. Callers can give up on it with their own signal; the analysis
+// itself is only cancelled once every caller waiting on it has given up.
+function sharedLookup(key, run, signal) {
+  let entry = gainCache.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { waiters: 0, settled: false, controller, promise: run(controller.signal) };
+    const settled = entry;
+    settled.promise.then(
+      () => { settled.settled = true; },
+      () => { settled.settled = true; if (gainCache.get(key) === settled) gainCache.delete(key); },
+    );
+    gainCache.set(key, entry);
   }
-  const gain = computePeakNormalizationGain(instrument);
-  if (cacheKey) {
-    gainCache.set(cacheKey, gain);
+  const current = entry;
+  current.waiters += 1;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(abortError());
+      current.waiters -= 1;
+      if (!current.waiters && !current.settled) {
+        current.controller.abort();
+        if (gainCache.get(key) === current) gainCache.delete(key);
+      }
+    };
+    if (signal && signal.aborted) { onAbort(); return; }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    current.promise
+      .then(resolve, reject)
+      .finally(() => { if (signal) signal.removeEventListener('abort', onAbort); });
+  });
+}
+
+const NOTE_INDEX = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// MIDI number for a note name ('C4', 'Eb3', 'F#5') or a number; null when unreadable
+function noteMidi(note) {
+  if (typeof note === 'number') return note;
+  const match = /^([A-Ga-g])(#|b)?(-?\d)$/.exec(String(note));
+  if (!match) return null;
+  const [, letter, accidental, octave] = match;
+  const shift = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+  return NOTE_INDEX[letter.toUpperCase()] + shift + (Number(octave) + 1) * 12;
+}
+
+// Resolves { gain, noteGains } for an instrument: gain brings it to the common level,
+// noteGains ({ [midi]: multiplier }, empty in 'peak' mode) evens out notes for balanceInstrument.
+// options: { mode: 'loudness' | 'peak', target: LUFS for 'loudness', signal: AbortSignal }
+// Rejects with an AbortError once the signal aborts. Looks in the session cache, then IndexedDB, and only then at the samples themselves;
+// cacheKey should name the soundfont and the instrument, e.g. 'sf:MusyngKite:cello'.
+export function getNormalization(instrument, cacheKey, { mode = 'loudness', target = DEFAULT_LOUDNESS_TARGET, signal } = {}) {
+  const options = { mode, target };
+  const analyze = (jobSignal) => analyzeOffThread(instrumentSamples(instrument), options, jobSignal);
+  if (!cacheKey) {
+    const controller = new AbortController();
+    if (signal) signal.addEventListener('abort', () => controller.abort(), { once: true });
+    if (signal && signal.aborted) controller.abort();
+    return analyze(controller.signal);
   }
-  return gain;
+  const key = mode === 'peak' ? `${cacheKey}|peak` : `${cacheKey}|loudness:${target}`;
+  return sharedLookup(key, (jobSignal) => readLevels(ANALYSIS_VERSION, key).then((stored) => {
+    if (stored) return stored;
+    if (jobSignal.aborted) throw abortError();
+    return analyze(jobSignal).then((analysis) => {
+      writeLevels(ANALYSIS_VERSION, key, analysis);
+      return analysis;
+    });
+  }), signal);
+}
+
+// Resolves just the instrument gain
+export function getNormalizationGain(instrument, cacheKey, options) {
+  return getNormalization(instrument, cacheKey, options).then((analysis) => analysis.gain);
+}
+
+// Resolves just the per-note table
+export function getNoteGains(instrument, cacheKey, options) {
+  return getNormalization(instrument, cacheKey, options).then((analysis) => analysis.noteGains);
+}
+
+// The instrument with play() scaling each note's gain from the table; notes without an
+// entry take the nearest sampled note. Everything else passes through.
+export function balanceInstrument(instrument, noteGains) {
+  const known = Object.keys(noteGains || {}).map(Number).sort((a, b) => a - b);
+  if (!instrument || !known.length) return instrument;
+  const gainFor = (note) => {
+    const midi = noteMidi(note);
+    if (midi == null) return 1;
+    const nearest = known.reduce((best, m) => (Math.abs(m - midi) < Math.abs(best - midi) ? m : best), known[0]);
+    return noteGains[nearest];
+  };
+  const balanced = Object.create(instrument);
+  balanced.play = (note, time, options = {}) =>
+    instrument.play(note, time, { ...options, gain: (options.gain ?? 1) * gainFor(note) });
+  return balanced;
+}
+
+// Ease a normalization GainNode (playing at unity meanwhile) to the measured gain
+export function rampNormalizationGain(node, gain, rampSec = NORMALIZATION_RAMP_SEC) {
+  const value = Number.isFinite(gain) ? gain : 1;
+  const now = node.context.currentTime;
+  node.gain.cancelScheduledValues(now);
+  node.gain.setValueAtTime(node.gain.value, now);
+  node.gain.linearRampToValueAtTime(value, now + rampSec);
 }
 
+// Forget results from this session and from earlier ones
 export function clearNormalizationCache() {
   gainCache.clear();
+  return clearLevels(ANALYSIS_VERSION);
 }
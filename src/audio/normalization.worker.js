@@ -0,0 +1,12 @@
+// Runs analyzeSamples (levelAnalysis.js) for normalization.js off the main thread.
+// In: { samples, options }; out: { analysis } or { error }.
+
+import { analyzeSamples } from './levelAnalysis.js';
+
+onmessage = (e) => {
+  try {
+    postMessage({ analysis: analyzeSamples(e.data.samples, e.data.options) });
+  } catch (err) {
+    postMessage({ error: String(err && err.message ? err.message : err) });
+  }
+};
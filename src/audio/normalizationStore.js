@@ -0,0 +1,65 @@
+// IndexedDB persistence for normalization results, so a page load reuses what an earlier
+// session measured instead of rescanning every sample. The database version is the analysis
+// version: bumping it drops everything stored by the old algorithm on the next open.
+// Every call resolves (null / false) rather than rejects where IndexedDB is missing,
+// blocked (private mode) or opened by a newer build, so callers just fall back to analysing.
+
+const DB_NAME = 'bp_normalization';
+const STORE = 'levels';
+
+const dbPromises = new Map();
+
+function openStore(version, idb = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+  if (!idb) return Promise.resolve(null);
+  if (!dbPromises.has(version)) {
+    dbPromises.set(version, new Promise((resolve) => {
+      let request;
+      try {
+        request = idb.open(DB_NAME, version);
+      } catch {
+        resolve(null);
+        return;
+      }
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (db.objectStoreNames.contains(STORE)) db.deleteObjectStore(STORE);
+        db.createObjectStore(STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    }));
+  }
+  return dbPromises.get(version);
+}
+
+function run(version, mode, action) {
+  return openStore(version).then((db) => {
+    if (!db) return null;
+    return new Promise((resolve) => {
+      try {
+        const tx = db.transaction(STORE, mode);
+        const request = action(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result ?? true);
+        tx.onerror = () => resolve(null);
+        tx.onabort = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// Stored value for key, or null
+export function readLevels(version, key) {
+  return run(version, 'readonly', (store) => store.get(key)).then((value) => (value === true ? null : value));
+}
+
+// Resolves true once written, false if it could not be
+export function writeLevels(version, key, value) {
+  return run(version, 'readwrite', (store) => store.put(value, key)).then(Boolean);
+}
+
+export function clearLevels(version) {
+  return run(version, 'readwrite', (store) => store.clear()).then(Boolean);
+}
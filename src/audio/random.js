@@ -0,0 +1,62 @@
+// Seeded randomness for generative decisions, so a session can be replayed note for note.
+// Decisions keyed by musical position (randomAt(seed, bar, step, 'hat')) come out the same
+// however the song was reached (seek, pause/resume, offline render); createRandom gives a
+// plain stream for code that has no position to key on.
+
+export const MAX_SEED = 0xffffffff;
+
+// Small, fast 32-bit PRNG; returns () => float in [0, 1)
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Mix numbers and strings into one 32-bit seed (FNV-1a over the parts, then an avalanche step)
+export function hashSeed(...parts) {
+  let h = 0x811c9dc5;
+  const mix = (code) => { h = Math.imul(h ^ code, 0x01000193); };
+  for (const part of parts) {
+    const text = String(part);
+    for (let i = 0; i < text.length; i++) mix(text.charCodeAt(i));
+    mix(0x1f); // separator, so ('1', '23') and ('12', '3') differ
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  return h >>> 0;
+}
+
+// One value in [0, 1) fixed by the seed and the keys, independent of call order
+export function randomAt(seed, ...keys) {
+  return mulberry32(hashSeed(seed, ...keys))();
+}
+
+// Sequential stream from a seed: { seed, next(), chance(p), int(n), range(min, max) }
+export function createRandom(seed) {
+  const next = mulberry32(hashSeed(seed));
+  return {
+    seed,
+    next,
+    chance: (p) => next() < p,
+    int: (n) => Math.floor(next() * n),
+    range: (min, max) => min + (max - min) * next(),
+  };
+}
+
+// Fresh seed for a new session
+export function newSeed() {
+  return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+// Seed typed by a user or read from storage; null when it is not a whole number in range
+export function parseSeed(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= MAX_SEED ? n : null;
+}
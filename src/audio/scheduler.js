@@ -1,80 +1,873 @@
 // Simple lookahead scheduler for Web Audio without external deps
-// Schedules 16th notes ahead of time with a setInterval tick.
+// Schedules ticks (ppq per quarter note) ahead of time from a periodic clock
+// (see clock.js); every tick that lands on the 16th grid is also reported as a 16th.
+
+import createClock from './clock.js';
+import createTempoMap from './tempoMap.js';
+import { grooveTiming, grooveVelocity, resolveGroove, swing8 } from './grooves.js';
+import { newSeed, parseSeed, randomAt } from './random.js';
 
 // Defaults chosen for smooth scheduling on modern browsers/devices.
 const DEFAULT_LOOKAHEAD_MS = 25;      // scheduler tick interval
 const DEFAULT_SCHEDULE_AHEAD_SEC = 0.2; // how far ahead to schedule events
+const LATE_RESTART_SEC = 0.05; // gap before the first event after a 'shift' recovery
+const TIMELINE_KEEP_SEC = 1; // how long already-heard 16ths stay on the timeline
+// Adaptive schedule-ahead: bounds, and how often (in clock wake-ups) it is re-evaluated
+const MIN_SCHEDULE_AHEAD_SEC = 0.1;
+const MAX_SCHEDULE_AHEAD_SEC = 1.0;
+const HEALTH_WINDOW_WAKES = 40; // ~1s at the default 25ms clock
+const AHEAD_HEADROOM = 2;       // keep this many worst-case wake gaps scheduled
+const AHEAD_WIDEN_ON_LATE = 1.5;
+const AHEAD_NARROW_RATE = 0.25; // fraction of the way toward a smaller target per window
+// Following an external beat (syncBeat): phase error is pulled in by nudging the tempo,
+// at most SYNC_MAX_NUDGE either way; errors beyond SYNC_SNAP_BEATS are snapped instead
+const SYNC_GAIN = 0.5;
+const SYNC_MAX_NUDGE = 0.05;
+const SYNC_SNAP_BEATS = 0.25;
+const MIDI_PULSES_PER_16TH = 6; // MIDI clock runs at 24 per quarter
+const MIDI_TRANSPORT_AHEAD_WAKES = 2; // MIDI out messages go out this many wake-ups early at most
+
+export const DEFAULT_METER = { beats: 4, unit: 4 };
+export const DEFAULT_PPQ = 4; // plain 16ths; use 24 or 96 for triplet and 32nd grids
+// Events that on(event, fn) can subscribe to. Listener arguments:
+//   tick  (time, tick, bar, barInfo, feel)   every tick (ppq resolution)
+//   step  (time, step, bar, barInfo, feel)   every 16th, like onSixteenth
+//   beat  (time, beat, bar, barInfo, feel)   every beat of the bar's meter
+//   bar   (time, bar, barInfo)               every bar line and every landing after start/seek
+//   loop  (time, loopCount)                  when the transport wraps from the loop end to its start
+//   late  (info)                             same payload as onLate
+//   health (stats)                           about once a second while playing, see getState().health
+export const SCHEDULER_EVENTS = ['tick', 'step', 'beat', 'bar', 'loop', 'late', 'health'];
+// Boundaries applyAt() can wait for; 'now' applies straight away
+export const QUANTIZE_UNITS = ['now', 'step', 'beat', 'bar', 'phrase'];
+const DEFAULT_PHRASE_BARS = 4;
+
+// Length of common note values in quarter notes ('t' = triplet, '.' = dotted)
+const NOTE_VALUES = {
+  '1n': 4, '2n': 2, '4n': 1, '8n': 0.5, '16n': 0.25, '32n': 0.125, '64n': 0.0625,
+  '2t': 4 / 3, '4t': 2 / 3, '8t': 1 / 3, '16t': 1 / 6, '32t': 1 / 12,
+  '2n.': 3, '4n.': 1.5, '8n.': 0.75, '16n.': 0.375,
+};
+
+// Ticks per note value at the given resolution, e.g. gridTicks(24, '32n') === 3.
+// Returns null when the value does not fall on the tick grid (16t at 4 ppq).
+export function gridTicks(ppq, note) {
+  const quarters = NOTE_VALUES[note];
+  if (quarters == null) return null;
+  const ticks = quarters * ppq;
+  return Math.abs(ticks - Math.round(ticks)) < 1e-9 && ticks >= 1 ? Math.round(ticks) : null;
+}
+
+// Resolution has to split a 16th evenly so onSixteenth stays on the tick grid
+function normalizePpq(ppq) {
+  const n = Math.round(Number(ppq));
+  return n >= 4 && n % 4 === 0 ? n : DEFAULT_PPQ;
+}
+
+// Loop region in whole bars; null unless end comes after start
+function normalizeLoop(region) {
+  if (!region) return null;
+  const start = Math.max(0, Math.floor(Number(region.start) || 0));
+  const end = Math.floor(Number(region.end));
+  return end > start ? { start, end } : null;
+}
+
+// Coerce a meter-ish value ({ beats, unit }) into a usable meter; falls back to 4/4.
+export function normalizeMeter(meter) {
+  if (!meter) return DEFAULT_METER;
+  const beats = Math.round(Number(meter.beats));
+  const unit = Math.round(Number(meter.unit));
+  // beat unit must divide into 16ths: whole, half, quarter, 8th or 16th notes
+  if (!(beats > 0) || ![1, 2, 4, 8, 16].includes(unit)) return DEFAULT_METER;
+  return { beats, unit };
+}
+
+// 16ths in one bar (4/4 -> 16, 3/4 -> 12, 6/8 -> 12, 5/4 -> 20, 7/8 -> 14)
+export function stepsPerBar(meter) {
+  const m = normalizeMeter(meter);
+  return m.beats * (16 / m.unit);
+}
+
+// Quarter notes in one bar; multiply by 60 / bpm for the bar length in seconds
+export function quartersPerBar(meter) {
+  return stepsPerBar(meter) / 4;
+}
 
 export default function createScheduler(ctx, opts = {}) {
-  let bpm = opts.bpm ?? 120;
   let lookaheadMs = opts.lookaheadMs ?? DEFAULT_LOOKAHEAD_MS;
   let scheduleAheadSec = opts.scheduleAheadSec ?? DEFAULT_SCHEDULE_AHEAD_SEC;
-  let swing = opts.swing ?? 0; // 0..0.5 typical; applies to off-8ths
+  // Widen the schedule-ahead window when wake-ups run late or irregular, narrow it again
+  // (for snappier controls) once they settle; adaptiveLookahead: false keeps it fixed
+  const adaptive = opts.adaptiveLookahead ?? true;
+  const minAheadSec = opts.minScheduleAheadSec ?? Math.min(MIN_SCHEDULE_AHEAD_SEC, scheduleAheadSec);
+  const maxAheadSec = opts.maxScheduleAheadSec ?? Math.max(MAX_SCHEDULE_AHEAD_SEC, scheduleAheadSec);
+  // Song-wide groove (template name or object); the legacy `swing` amount maps onto 8th swing
+  let songGroove = resolveGroove(opts.groove ?? (opts.swing ? swing8(opts.swing) : 'straight'));
+  // Per-bus overrides, e.g. { drums: 'mpc58', pads: 'straight' }; read via feel.bus(name)
+  const busGrooves = {};
+  Object.entries(opts.grooves || {}).forEach(([bus, g]) => { busGrooves[bus] = resolveGroove(g); });
+  // Seed behind feel.random() and random(); the same seed replays the same decisions
+  let seed = parseSeed(opts.seed) ?? newSeed();
+  const ppq = normalizePpq(opts.ppq ?? DEFAULT_PPQ);
+  const ticksPer16th = ppq / 4;
+  // Tempo lives in a map over absolute ticks so ramps and scheduled jumps stay sample-accurate
+  const tempo = createTempoMap(opts.bpm ?? 120, ppq);
+  // Either a fixed meter or (barIndex) => meter, read once at the start of every bar
+  let meter = opts.meter ?? DEFAULT_METER;
   let onSixteenth = opts.onSixteenth ?? (() => {});
   let onBar = opts.onBar ?? (() => {});
+  let onTick = opts.onTick ?? null; // only walked when someone wants sub-16th ticks
+  // Fired when a wake-up finds the next event already in the past (throttled tab, GC pause)
+  let onLate = opts.onLate ?? (() => {});
+  // 'skip' drops the missed events and stays on the beat, 'shift' delays the song instead,
+  // 'none' plays everything that was missed straight away
+  const lateRecovery = opts.lateRecovery ?? 'skip';
+  const clockKind = opts.clock ?? 'interval';
+  // Gets (error, { event, bar, step, tick }) for any callback or listener that throws
+  let onError = opts.onError ?? defaultOnError;
+  // Loop region { start, end } in bars (end exclusive), or null to play on forever.
+  // `loopBars: n` is shorthand for looping the first n bars.
+  let loop = normalizeLoop(opts.loop ?? (opts.loopBars ? { start: 0, end: opts.loopBars } : null));
+  // Named bar positions (section starts and the like) for seeking and looping by name
+  const cues = new Map();
+  // Bars per phrase for 'phrase' quantization, counted from bar 0
+  const phraseBars = Math.max(1, Math.floor(opts.phraseBars ?? DEFAULT_PHRASE_BARS));
+  let changes = []; // quantized changes waiting for their boundary: { at, fn, key }
+  const listeners = {};
+  SCHEDULER_EVENTS.forEach((event) => { listeners[event] = new Set(); });
 
-  let nextNoteTime = 0; // absolute AudioContext time for next 16th
-  let current16th = 0;  // 0..15
+  let nextNoteTime = 0; // absolute AudioContext time for next tick
+  let absTick = 0;      // ticks since bar 0, tick 0
+  let currentTick = 0;  // 0..ticks-1 within the current bar
   let barCount = 0;     // total bars since start
-  let timerId = null;
+  // Audio time of one known tick; every other tick's time is derived from the tempo map
+  let anchorTick = 0;
+  let anchorTime = 0;
+  let barInfo = makeBarInfo(0); // meter of the bar being scheduled
+  let clock = null;
+  let lateCount = 0;
+  let pausedTick = null; // where resume() picks up while paused
+  // Set after start/seek/resume so the landing bar gets an onBar even when it starts mid-bar
+  let barPending = false;
+  let loopCount = 0;
+  let loopPending = false; // advance() wrapped; fire 'loop' before the next bar
+  let queuedBar = null;     // quantized seek waiting for the next bar line
+  // Scheduled 16ths, oldest first: { time, tick, bar, step, beat, onBeat, steps } (tick absolute). Lets the UI ask what is
+  // being heard without re-deriving it from the tempo map (which loops and seeks break).
+  let timeline = [];
+  // Clock health: the window being measured, and the last finished window's stats
+  let lastWakeMs = null;
+  let healthWindow = newHealthWindow();
+  let health = null;
+  // Clock sink for MIDI out (createMidiClockOut in midi.js); null sends nothing
+  let midiOut = opts.midiOut ?? null;
+  // Clock pulses and transport messages wait here until due: once handed to Web MIDI they
+  // cannot be taken back (MIDIOutput.clear() is missing in most browsers), so anything queued
+  // far ahead would still reach followers after a stop. [{ ms, send(out, ms) }]
+  let midiQueue = [];
+  let midiSentMs = -Infinity; // timestamp of the latest message handed over
+
+  const sixteenthDur = () => 15.0 / tempo.bpmAt(absTick);
+  const timeOfTick = (tick) => anchorTime + tempo.secondsBetween(anchorTick, tick);
+  // Inverse of timeOfTick; fractional. Only holds from the anchor on: see tickHeardAt
+  const tickAtTime = (time) => tempo.tickAtTime(tempo.timeAtTick(anchorTick) + (time - anchorTime));
+  // Position of the tick being scheduled, as reported to errors and quantized changes
+  const positionNow = () => ({ bar: barCount, step: Math.floor(currentTick / ticksPer16th), tick: currentTick });
+
+  function reanchor(tick, time) {
+    anchorTick = tick;
+    anchorTime = time;
+  }
 
-  const secondsPerBeat = () => 60.0 / bpm;
-  const sixteenthDur = () => 0.25 * secondsPerBeat();
+  function meterForBar(bar) {
+    const m = typeof meter === 'function' ? meter(bar) : meter;
+    return normalizeMeter(m);
+  }
+
+  function defaultOnError(err, where) {
+    console.error(`scheduler: ${where.event} callback failed at bar ${where.bar}, step ${where.step}`, err);
+  }
+
+  // Run one callback; a throw is reported with the position it happened at instead of
+  // stopping the loop (or vanishing)
+  function invoke(fn, event, args) {
+    try {
+      fn(...args);
+    } catch (err) {
+      const where = { event, ...positionNow() };
+      try { onError(err, where); } catch {}
+    }
+  }
+
+  // Legacy single callback first, then subscribers in the order they subscribed
+  function emit(event, legacy, ...args) {
+    if (legacy) invoke(legacy, event, args);
+    listeners[event].forEach((fn) => invoke(fn, event, args));
+  }
+
+  const wantsTicks = () => !!onTick || listeners.tick.size > 0;
 
-  function swingOffset(ix16) {
-    // Simple 8th-note swing: delay 8th offbeats (16th indices 2,6,10,14)
-    // by a fraction of a 16th duration.
-    if (!swing) return 0;
-    const isOff8th = (ix16 % 4 === 2);
-    return isOff8th ? swing * sixteenthDur() : 0;
+  function makeBarInfo(bar) {
+    const m = meterForBar(bar);
+    const steps = stepsPerBar(m);
+    return { meter: m, steps, ticks: steps * ticksPer16th, ppq };
+  }
+
+  // Absolute tick of the first tick in bar (meters may differ bar to bar)
+  function barStartTick(bar) {
+    let tick = 0;
+    for (let b = 0; b < bar; b++) tick += makeBarInfo(b).ticks;
+    return tick;
+  }
+
+  // Bar and in-bar tick for an absolute tick
+  function locateTick(tick) {
+    let bar = 0;
+    let start = 0;
+    let info = makeBarInfo(0);
+    while (tick >= start + info.ticks) {
+      start += info.ticks;
+      bar += 1;
+      info = makeBarInfo(bar);
+    }
+    return { bar, tick: tick - start, info };
+  }
+
+  // Groove for one 16th slot: `time`/`velocity` follow the song groove, bus(name)
+  // gives the same slot under that bus's groove. Ticks inside a 16th move with it.
+  // random(key) is a seeded value in [0, 1) for this bar/16th; use a distinct key per decision.
+  // songStep counts 16ths from the top of the song; step tracks take their phase from it (see sequencer.js).
+  function makeFeel(straightTime, ix16) {
+    const dur = sixteenthDur();
+    const at = (template) => ({
+      time: straightTime + grooveTiming(template, ix16) * dur,
+      velocity: grooveVelocity(template, ix16),
+    });
+    const song = at(songGroove);
+    return {
+      time: song.time,
+      velocity: song.velocity,
+      songStep: Math.floor(absTick / ticksPer16th),
+      bus: (name) => (busGrooves[name] ? at(busGrooves[name]) : song),
+      random: (key = '') => randomAt(seed, barCount, ix16, key),
+    };
   }
 
   function advance() {
-    nextNoteTime += 0.25 * secondsPerBeat(); // 16th note
-    current16th = (current16th + 1) % 16;
-    if (current16th === 0) barCount += 1;
+    // without a tick listener there is nothing between 16ths, so step to the next 16th
+    // (from mid-16th too, when the last tick listener just left)
+    const stride = wantsTicks() ? 1 : ticksPer16th - (currentTick % ticksPer16th);
+    absTick += stride;
+    nextNoteTime = timeOfTick(absTick);
+    currentTick += stride;
+    if (currentTick >= barInfo.ticks) {
+      // meter changes only ever land on a bar line
+      currentTick = 0;
+      barCount += 1;
+      barInfo = makeBarInfo(barCount);
+      jumpOnBarLine();
+    }
+  }
+
+  // Transport jumps only ever happen on a bar line, so they never cut a bar short.
+  // A queued seek wins over the loop wrap; both continue from this moment in time.
+  function jumpOnBarLine() {
+    if (queuedBar != null) {
+      const bar = queuedBar;
+      queuedBar = null;
+      moveTo(barStartTick(bar), nextNoteTime, 'seek');
+    } else if (loop && barCount >= loop.end) {
+      moveTo(barStartTick(loop.start), nextNoteTime, 'loop');
+      loopCount += 1;
+      loopPending = true;
+    }
+  }
+
+  // Put the transport at an absolute tick that plays at `time`. The landing bar's info
+  // carries `seek: { reason, tick }` so arrangements can rebuild their state.
+  function moveTo(tick, time, reason) {
+    const loc = locateTick(tick);
+    absTick = tick;
+    barCount = loc.bar;
+    currentTick = loc.tick;
+    barInfo = { ...loc.info, seek: { reason, tick: loc.tick } };
+    reanchor(tick, time);
+    nextNoteTime = time;
+    barPending = true;
+    // a jump while running tells followers where the transport went: a loop wrap just moves
+    // their song position, anything else stops and continues them from the new one
+    if (clock && midiOut && reason !== 'start' && reason !== 'resume') {
+      const sixteenths = tick / ticksPer16th;
+      const ms = audioToDisplayTime(time);
+      if (reason === 'loop') {
+        queueMidi(ms, (out, at) => out.songPosition(at, sixteenths));
+      } else {
+        queueMidi(ms, (out, at) => out.stop(at));
+        queueMidi(ms, (out, at) => out.continueFrom(at, sixteenths));
+      }
+    }
+  }
+
+  function queueMidi(ms, send) {
+    midiQueue.push({ ms, send });
+    sendDueMidi();
+  }
+
+  // Hand over the messages that fall due before the next wake-ups, in time order
+  function sendDueMidi() {
+    if (!midiQueue.length) return;
+    const horizon = performance.now() + lookaheadMs * MIDI_TRANSPORT_AHEAD_WAKES;
+    const due = midiQueue.filter((m) => m.ms <= horizon).sort((a, b) => a.ms - b.ms);
+    midiQueue = midiQueue.filter((m) => m.ms > horizon);
+    due.forEach((m) => {
+      if (midiOut) m.send(midiOut, m.ms);
+      midiSentMs = Math.max(midiSentMs, m.ms);
+    });
+  }
+
+  // Queue the six clock pulses of the 16th at absTick, spread by the tempo map (ramps included)
+  function sendMidiPulses() {
+    for (let i = 0; i < MIDI_PULSES_PER_16TH; i++) {
+      const tick = absTick + (i * ticksPer16th) / MIDI_PULSES_PER_16TH;
+      midiQueue.push({ ms: audioToDisplayTime(timeOfTick(tick)), send: (out, at) => out.pulse(at) });
+    }
+  }
+
+  // Start or continue followers at the transport's position, just before its first pulse
+  function sendMidiTransport() {
+    if (!midiOut) return;
+    const ms = audioToDisplayTime(nextNoteTime) - 1;
+    const sixteenths = absTick / ticksPer16th;
+    if (absTick === 0) queueMidi(ms, (out, at) => out.start(at));
+    else queueMidi(ms, (out, at) => out.continueFrom(at, sixteenths));
+  }
+
+  // Drops messages not yet due; the Stop goes out after any pulse or message already handed over
+  function sendMidiStop() {
+    midiQueue = [];
+    if (midiOut) midiOut.stop(Math.max(performance.now(), midiSentMs + 1), { flush: true });
+    midiSentMs = -Infinity;
+  }
+
+  // First tick on the 16th grid at or after tick
+  const ceilTo16th = (tick) => Math.ceil(tick / ticksPer16th) * ticksPer16th;
+
+  function recoverIfLate(now) {
+    if (nextNoteTime >= now) return;
+    const behindSec = now - nextNoteTime;
+    lateCount += 1;
+    healthWindow.late += 1;
+    // missed once, likely to miss again: widen straight away
+    if (adaptive) scheduleAheadSec = Math.min(maxAheadSec, scheduleAheadSec * AHEAD_WIDEN_ON_LATE);
+    emit('late', onLate, { behindSec, bar: barCount, tick: currentTick, recovery: lateRecovery });
+    if (lateRecovery === 'shift') {
+      reanchor(absTick, now + LATE_RESTART_SEC);
+      nextNoteTime = anchorTime;
+    } else if (lateRecovery === 'skip') {
+      const skippedFrom = barCount;
+      while (nextNoteTime < now) advance();
+      // missed a downbeat: land like a seek so arrangements catch up
+      if (barCount !== skippedFrom) moveTo(absTick, nextNoteTime, 'late');
+    }
+  }
+
+  // Run the queued changes whose boundary is the tick at nextNoteTime, before any
+  // listener sees that tick (a tempo change then starts exactly on the boundary)
+  function applyDueChanges(ticksPerBeat) {
+    const onBarLine = currentTick === 0;
+    const due = {
+      step: currentTick % ticksPer16th === 0,
+      beat: currentTick % ticksPerBeat === 0,
+      bar: onBarLine,
+      phrase: onBarLine && barCount % phraseBars === 0,
+    };
+    const ready = changes.filter((change) => due[change.at]);
+    if (!ready.length) return;
+    changes = changes.filter((change) => !due[change.at]);
+    ready.forEach((change) => invoke(change.fn, 'change', [nextNoteTime, positionNow()]));
+  }
+
+  // Stopping never drops a change; whatever is still queued applies right away
+  function flushChanges() {
+    const pending = changes;
+    changes = [];
+    pending.forEach((change) => invoke(change.fn, 'change', [ctx.currentTime, positionNow()]));
+  }
+
+  // Hand every listener the tick at nextNoteTime, then move on to the next one
+  function scheduleTick() {
+    const ticksPerBeat = (16 / barInfo.meter.unit) * ticksPer16th;
+    if (changes.length) applyDueChanges(ticksPerBeat);
+    const ix16 = Math.floor(currentTick / ticksPer16th);
+    const feel = makeFeel(nextNoteTime, ix16);
+    if (loopPending) {
+      loopPending = false;
+      emit('loop', null, nextNoteTime, loopCount);
+    }
+    if (currentTick === 0 || barPending) {
+      // bar first so pattern callbacks see the new bar's arrangement state;
+      // keep bar anchor on-grid (no groove offset) for stability
+      barPending = false;
+      emit('bar', onBar, nextNoteTime, barCount, barInfo);
+    }
+    if (currentTick % ticksPerBeat === 0) {
+      emit('beat', null, feel.time, currentTick / ticksPerBeat, barCount, barInfo, feel);
+    }
+    if (currentTick % ticksPer16th === 0) {
+      emit('step', onSixteenth, feel.time, ix16, barCount, barInfo, feel);
+    }
+    if (wantsTicks()) {
+      emit('tick', onTick, feel.time, currentTick, barCount, barInfo, feel);
+    }
+    advance();
+  }
+
+  function noteOnTimeline() {
+    const beatSteps = 16 / barInfo.meter.unit;
+    const step = Math.floor(currentTick / ticksPer16th);
+    timeline.push({
+      time: nextNoteTime,
+      tick: absTick,
+      bar: barCount,
+      step,
+      beat: Math.floor(step / beatSteps),
+      onBeat: step % beatSteps === 0,
+      steps: barInfo.steps,
+    });
+  }
+
+  // Absolute tick (fractional) playing at an audio time. A loop wrap or seek moves the anchor
+  // to its target as soon as it is scheduled, while the 16ths before it are still to be heard,
+  // so times before the anchor are read off the timeline of what was scheduled instead
+  function tickHeardAt(time) {
+    let i = timeline.length - 1;
+    while (i >= 0 && timeline[i].time > time) i--;
+    if (i < 0 || time >= anchorTime) return tickAtTime(time);
+    const e = timeline[i];
+    const next = timeline[i + 1];
+    const span = next ? next.time - e.time : sixteenthDur();
+    return e.tick + Math.min(1, (time - e.time) / span) * ticksPer16th;
+  }
+
+  function newHealthWindow() {
+    return { wakes: 0, jitterSumMs: 0, maxGapMs: 0, events: 0, marginSumSec: 0, minMarginSec: Infinity, late: 0 };
+  }
+
+  const wallMs = () => (typeof performance !== 'undefined' ? performance.now() : ctx.currentTime * 1000);
+
+  // Gap since the previous wake-up, compared with the interval the clock was asked for
+  function measureWake() {
+    const wall = wallMs();
+    if (lastWakeMs != null) {
+      const gap = wall - lastWakeMs;
+      healthWindow.wakes += 1;
+      healthWindow.jitterSumMs += Math.abs(gap - lookaheadMs);
+      healthWindow.maxGapMs = Math.max(healthWindow.maxGapMs, gap);
+    }
+    lastWakeMs = wall;
+  }
+
+  // Close the window: publish its stats and retune the schedule-ahead window. It has to
+  // cover the worst wake-up gap with room to spare; it widens at once and narrows gradually.
+  function finishHealthWindow() {
+    const w = healthWindow;
+    if (adaptive) {
+      const target = Math.min(maxAheadSec, Math.max(minAheadSec, (w.maxGapMs / 1000) * AHEAD_HEADROOM));
+      if (target > scheduleAheadSec) scheduleAheadSec = target;
+      else if (!w.late) scheduleAheadSec += (target - scheduleAheadSec) * AHEAD_NARROW_RATE;
+    }
+    health = {
+      jitterMs: w.wakes ? w.jitterSumMs / w.wakes : 0,
+      maxGapMs: w.maxGapMs,
+      minMarginMs: w.events ? w.minMarginSec * 1000 : null,
+      avgMarginMs: w.events ? (w.marginSumSec / w.events) * 1000 : null,
+      lateInWindow: w.late,
+      lateCount,
+      scheduleAheadSec,
+    };
+    healthWindow = newHealthWindow();
+    emit('health', null, { ...health });
   }
 
   function schedule() {
     const now = ctx.currentTime;
+    measureWake();
+    recoverIfLate(now);
+    const keepFrom = now - TIMELINE_KEEP_SEC;
+    if (timeline.length && timeline[0].time < keepFrom) timeline = timeline.filter((e) => e.time >= keepFrom);
     while (nextNoteTime < now + scheduleAheadSec) {
-      const tSwing = nextNoteTime + swingOffset(current16th);
-      try { onSixteenth(tSwing, current16th, barCount); } catch {}
-      if (current16th === 0) {
-        // keep bar anchor on-grid (no swing) for stability
-        try { onBar(nextNoteTime, barCount); } catch {}
+      // how long before it plays each event was handed over
+      const margin = nextNoteTime - now;
+      healthWindow.events += 1;
+      healthWindow.marginSumSec += margin;
+      healthWindow.minMarginSec = Math.min(healthWindow.minMarginSec, margin);
+      if (currentTick % ticksPer16th === 0) {
+        noteOnTimeline();
+        if (midiOut) sendMidiPulses();
       }
-      advance();
+      scheduleTick();
     }
+    if (midiOut) sendDueMidi();
+    if (healthWindow.wakes >= HEALTH_WINDOW_WAKES) finishHealthWindow();
   }
 
-  function start(startDelaySec = 0.05) {
-    if (timerId) return;
-    const now = ctx.currentTime;
-    nextNoteTime = now + startDelaySec;
-    current16th = 0;
-    barCount = 0;
-    timerId = setInterval(schedule, lookaheadMs);
+  function runClock() {
+    lastWakeMs = null;
+    healthWindow = newHealthWindow();
+    clock = createClock(clockKind, ctx, lookaheadMs);
+    clock.start(schedule);
+  }
+
+  function haltClock() {
+    if (clock) { clock.stop(); clock = null; }
+    timeline = [];
+  }
+
+  // Audio clock <-> performance.now() clock. getOutputTimestamp() pairs the two at the
+  // moment audio leaves the speakers, so output latency is already accounted for; older
+  // browsers fall back to currentTime plus the reported latency.
+  function clockPair() {
+    const stamp = typeof ctx.getOutputTimestamp === 'function' ? ctx.getOutputTimestamp() : null;
+    if (stamp && stamp.performanceTime > 0) return stamp;
+    const latency = ctx.outputLatency || ctx.baseLatency || 0;
+    return { contextTime: ctx.currentTime - latency, performanceTime: performance.now() };
+  }
+
+  // performance.now()-based time (ms) at which audio scheduled for `time` is heard
+  function audioToDisplayTime(time) {
+    const pair = clockPair();
+    return pair.performanceTime + (time - pair.contextTime) * 1000;
+  }
+
+  // Audio time being heard at a performance.now()-based time (ms)
+  function displayToAudioTime(ms) {
+    const pair = clockPair();
+    return pair.contextTime + (ms - pair.performanceTime) / 1000;
+  }
+
+  // Scheduled 16ths not yet heard, each with its displayTime; `within` limits how far ahead (sec)
+  function getUpcoming({ within = Infinity } = {}) {
+    const pair = clockPair();
+    const heard = pair.contextTime;
+    return timeline
+      .filter((e) => e.time >= heard && e.time < heard + within)
+      .map((e) => ({ ...e, displayTime: pair.performanceTime + (e.time - pair.contextTime) * 1000 }));
+  }
+
+  // Musical position being heard at displayNow (default: now), cheap enough to call every
+  // animation frame. progress runs 0..1 through the current 16th. null before the first
+  // scheduled 16th is heard.
+  function getPosition(displayNow = performance.now()) {
+    const time = displayToAudioTime(displayNow);
+    let i = timeline.length - 1;
+    while (i >= 0 && timeline[i].time > time) i--;
+    if (i < 0) return null;
+    const e = timeline[i];
+    const next = timeline[i + 1];
+    const span = next ? next.time - e.time : sixteenthDur();
+    return {
+      bar: e.bar,
+      step: e.step,
+      beat: e.beat,
+      steps: e.steps,
+      progress: Math.min(1, Math.max(0, (time - e.time) / span)),
+      audioTime: time,
+    };
+  }
+
+  // start(delaySec) or start({ bar, delay }) to begin mid-song
+  function start(arg = 0.05) {
+    if (clock) return;
+    const { bar = 0, delay = 0.05 } = typeof arg === 'number' ? { delay: arg } : (arg || {});
+    lateCount = 0;
+    loopCount = 0;
+    loopPending = false;
+    queuedBar = null;
+    pausedTick = null;
+    moveTo(barStartTick(Math.max(0, bar)), ctx.currentTime + delay, 'start');
+    runClock();
+    sendMidiTransport();
   }
 
   function stop() {
-    if (timerId) { clearInterval(timerId); timerId = null; }
+    if (clock) sendMidiStop();
+    haltClock();
+    flushChanges();
+    pausedTick = null;
+    queuedBar = null;
+  }
+
+  // Stop scheduling but remember the first 16th that has not been heard yet
+  function pause() {
+    if (!clock) return;
+    const now = ctx.currentTime;
+    const unheard = timeline.find((e) => e.time > now);
+    pausedTick = unheard ? unheard.tick : Math.max(0, Math.min(absTick, ceilTo16th(tickAtTime(now))));
+    sendMidiStop();
+    haltClock();
+    flushChanges();
+  }
+
+  function resume(delaySec = 0.05) {
+    if (clock || pausedTick == null) return;
+    const tick = pausedTick;
+    pausedTick = null;
+    moveTo(tick, ctx.currentTime + delaySec, 'resume');
+    runClock();
+    sendMidiTransport();
+  }
+
+  // Send MIDI clock and transport to out (createMidiClockOut), or stop with null.
+  // Switching while playing stops the old output and picks the new one up in place.
+  function setMidiOutput(out) {
+    if (midiOut === out) return;
+    if (clock) sendMidiStop();
+    midiOut = out ?? null;
+    if (clock) sendMidiTransport();
+  }
+
+  // Walk bars [fromBar, toBar) on a virtual clock, synchronously and as fast as the
+  // callbacks allow, with bar fromBar playing at startTime. Drives an OfflineAudioContext
+  // (or a test) with the same callbacks as live playback; ctx.currentTime is never read.
+  // toBar (required) is the first bar not rendered, e.g. the arrangement's length or
+  // getState().loop.end. Returns the rendered span: { startTime, endTime, bars }.
+  function render({ fromBar = 0, toBar, startTime = 0 } = {}) {
+    if (clock) throw new Error('scheduler: stop() before render()');
+    if (toBar == null) throw new TypeError('scheduler: render() needs toBar');
+    const bars = Math.floor(toBar) - Math.max(0, fromBar);
+    if (!(bars > 0)) throw new RangeError('scheduler: render() needs toBar > fromBar');
+    pausedTick = null;
+    loopCount = 0;
+    loopPending = false;
+    queuedBar = null;
+    moveTo(barStartTick(Math.max(0, fromBar)), startTime, 'start');
+    let done = 0;
+    while (done < bars) {
+      scheduleTick();
+      if (currentTick === 0) done += 1;
+    }
+    return { startTime, endTime: nextNoteTime, bars };
+  }
+
+  // Jump to the start of bar. While playing the jump lands on the next unscheduled
+  // tick (events already handed to Web Audio still play), or with { quantize: true }
+  // on the next bar line; otherwise it moves the position that resume() continues from.
+  function seek(bar, { quantize = false } = {}) {
+    const target = Math.max(0, Math.floor(bar));
+    if (clock && quantize) {
+      queuedBar = target;
+    } else if (clock) {
+      moveTo(barStartTick(target), nextNoteTime, 'seek');
+    } else {
+      pausedTick = barStartTick(target);
+    }
+  }
+
+  // Loop bars [start, end); setLoop(null) plays straight on. Checked at every bar line,
+  // so a new region takes over at the next one; a playhead already past the end wraps there.
+  function setLoop(start, end) {
+    loop = normalizeLoop(start == null ? null : (typeof start === 'object' ? start : { start, end }));
+  }
+
+  function setCue(name, bar) {
+    cues.set(name, Math.max(0, Math.floor(bar)));
+  }
+
+  function removeCue(name) {
+    cues.delete(name);
+  }
+
+  // Cues in bar order: [{ name, bar }]
+  const getCues = () => [...cues].map(([name, bar]) => ({ name, bar })).sort((a, b) => a.bar - b.bar);
+
+  // Seek to a cue on the next bar line; false if there is no such cue
+  function jumpToCue(name) {
+    if (!cues.has(name)) return false;
+    seek(cues.get(name), { quantize: true });
+    return true;
+  }
+
+  // Loop from one cue up to another (default: the next cue after it), e.g. one section
+  function loopCue(name, untilName) {
+    if (!cues.has(name)) return false;
+    const start = cues.get(name);
+    const next = getCues().find((cue) => cue.bar > start);
+    const end = untilName != null ? cues.get(untilName) : next && next.bar;
+    if (!(end > start)) return false;
+    setLoop(start, end);
+    return true;
+  }
+
+  // Immediate tempo change from the next unscheduled tick; clears any tempo automation
+  function setBpm(newBpm) {
+    reanchor(absTick, nextNoteTime);
+    tempo.reset(newBpm);
+  }
+
+  // Follow an external beat (MIDI clock, tap tempo): a quarter note was heard outside at
+  // audioTime, at bpm. The tempo follows at once and the nearest quarter of the transport is
+  // pulled toward that moment over the next beat, after which it runs at exactly bpm again;
+  // a bigger slip snaps. Clears tempo automation.
+  function syncBeat(audioTime, bpm) {
+    if (!clock || !(bpm > 0)) return;
+    const exact = tickAtTime(audioTime);
+    const beatTick = Math.round(exact / ppq) * ppq;
+    const errBeats = (exact - beatTick) / ppq; // > 0: running ahead of the source
+    if (Math.abs(errBeats) > SYNC_SNAP_BEATS) {
+      tempo.reset(bpm);
+      reanchor(beatTick, audioTime);
+      nextNoteTime = timeOfTick(absTick);
+      return;
+    }
+    const nudge = Math.max(-SYNC_MAX_NUDGE, Math.min(SYNC_MAX_NUDGE, errBeats * SYNC_GAIN));
+    setBpm(bpm * (1 - nudge));
+    if (nudge) tempo.jumpAt(absTick + ppq, bpm);
+  }
+
+  // Tempo automation may reach back over ticks already scheduled (a change at the bar being
+  // scheduled, or behind it), so pin the next unscheduled tick to its time first
+  function setBpmAtBar(newBpm, bar) {
+    reanchor(absTick, nextNoteTime);
+    tempo.jumpAt(barStartTick(bar), newBpm);
+  }
+
+  // Ramp from the tempo at `bar` (default: next bar) to newBpm over `bars` bars.
+  // curve: 'linear' or 'exponential' (equal ratios per beat, sounds more even on big changes)
+  function rampBpm(newBpm, { bar = barCount + 1, bars = 1, curve = 'linear' } = {}) {
+    reanchor(absTick, nextNoteTime);
+    tempo.rampTo(newBpm, barStartTick(bar), barStartTick(bar + Math.max(0, bars)), curve);
+  }
+
+  // AudioContext time at which bar/step(/tick) plays, following the tempo map (groove excluded)
+  function positionToTime(bar, step = 0, tick = 0) {
+    return timeOfTick(barStartTick(bar) + step * ticksPer16th + tick);
+  }
+
+  // Musical position heard at an AudioContext time; beat counts the meter's beat unit
+  function timeToPosition(time) {
+    const exact = tickHeardAt(time);
+    const whole = Math.floor(exact + 1e-6);
+    if (whole < 0) return { bar: 0, step: 0, tick: 0, beat: 0, bpm: tempo.bpmAt(0) };
+    const loc = locateTick(whole);
+    const step = Math.floor(loc.tick / ticksPer16th);
+    return {
+      bar: loc.bar,
+      step,
+      tick: loc.tick,
+      beat: Math.floor(step / (16 / loc.info.meter.unit)),
+      bpm: tempo.bpmAt(exact),
+    };
+  }
+  function setSwing(newSwing) { songGroove = swing8(Math.max(0, Math.min(0.75, Number(newSwing) || 0))); }
+
+  // setGroove('mpc62') for the whole song, setGroove('straight', 'pads') for one bus;
+  // pass null with a bus to make that bus follow the song groove again
+  function setGroove(groove, bus) {
+    if (bus == null) songGroove = resolveGroove(groove);
+    else if (groove == null) delete busGrooves[bus];
+    else busGrooves[bus] = resolveGroove(groove);
+  }
+  // Run fn(time, { bar, step, tick }) at the next `at` boundary (see QUANTIZE_UNITS), with
+  // `time` the boundary's audio time so ramps can start right on it. A change with the same
+  // key replaces one still waiting (a dragged slider only applies its last value). While
+  // stopped there is no boundary to wait for, so it applies at once. Returns a cancel function.
+  function applyAt(at, fn, key) {
+    if (!QUANTIZE_UNITS.includes(at)) throw new Error(`scheduler: unknown quantize unit '${at}'`);
+    if (key != null) changes = changes.filter((change) => change.key !== key);
+    if (at === 'now' || !clock) {
+      invoke(fn, 'change', [ctx.currentTime, positionNow()]);
+      return () => {};
+    }
+    const change = { at, fn, key };
+    changes.push(change);
+    return () => { changes = changes.filter((c) => c !== change); };
+  }
+
+  // Seeded value in [0, 1) for any set of keys, e.g. random(bar, 'winds') from a bar callback
+  const random = (...keys) => randomAt(seed, ...keys);
+
+  // New seed from the next unscheduled tick; ignored unless it is a valid seed
+  function setSeed(newSeedValue) {
+    const parsed = parseSeed(newSeedValue);
+    if (parsed != null) seed = parsed;
   }
 
-  function setBpm(newBpm) { bpm = newBpm; }
-  function setSwing(newSwing) { swing = Math.max(0, Math.min(0.75, Number(newSwing) || 0)); }
+  // Takes effect from the next bar line; the bar in progress keeps its meter
+  function setMeter(newMeter) { meter = newMeter ?? DEFAULT_METER; }
 
   function setCallbacks(cbs = {}) {
     if (typeof cbs.onSixteenth === 'function') onSixteenth = cbs.onSixteenth;
     if (typeof cbs.onBar === 'function') onBar = cbs.onBar;
+    if (typeof cbs.onTick === 'function') onTick = cbs.onTick;
+    if (typeof cbs.onLate === 'function') onLate = cbs.onLate;
+    if (typeof cbs.onError === 'function') onError = cbs.onError;
+  }
+
+  // Subscribe to a transport event (see SCHEDULER_EVENTS); returns the unsubscribe function.
+  // Any number of layers can listen to the same event alongside the legacy callbacks.
+  function on(event, fn) {
+    if (!listeners[event]) throw new Error(`scheduler: unknown event '${event}'`);
+    if (typeof fn !== 'function') throw new TypeError('scheduler: listener must be a function');
+    listeners[event].add(fn);
+    return () => off(event, fn);
+  }
+
+  function off(event, fn) {
+    if (listeners[event]) listeners[event].delete(fn);
   }
 
   return {
     start,
     stop,
+    pause,
+    resume,
+    seek,
+    setLoop,
+    setCue,
+    removeCue,
+    getCues,
+    jumpToCue,
+    loopCue,
+    render,
+    audioToDisplayTime,
+    displayToAudioTime,
+    getUpcoming,
+    getPosition,
+    applyAt,
     setBpm,
+    setBpmAtBar,
+    rampBpm,
+    syncBeat,
+    setMidiOutput,
+    positionToTime,
+    timeToPosition,
     setSwing,
+    setGroove,
+    setMeter,
+    setSeed,
+    random,
     setCallbacks,
-    getState: () => ({ nextNoteTime, current16th, barCount, bpm })
+    on,
+    off,
+    getState: () => ({
+      nextNoteTime,
+      current16th: Math.floor(currentTick / ticksPer16th),
+      currentTick,
+      barCount,
+      bpm: tempo.bpmAt(absTick),
+      tempoMap: tempo.getPoints(),
+      ppq,
+      meter: barInfo.meter,
+      stepsPerBar: barInfo.steps,
+      playing: !!clock,
+      paused: !clock && pausedTick != null,
+      clock: clock ? clock.kind : null,
+      lateCount,
+      loop: loop && { ...loop },
+      loopCount,
+      seed,
+      scheduleAheadSec,
+      health: health && { ...health },
+    })
   };
 }
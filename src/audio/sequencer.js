@@ -0,0 +1,44 @@
+// Step tracks for the pattern callbacks. A track lists events by step and has its own
+// length in 16ths, so a 12-step hat can run against a 16-step kick, or a 3-bar lead phrase
+// against a 4-bar chord cycle. The phase comes from the transport's 16th count
+// (feel.songStep), never from a per-track counter: tracks line up again every
+// loopSteps(...) 16ths, and land on the same step after a seek, a loop jump or a render.
+// Tracks without a length are one bar long and restart on every bar line, whatever the meter.
+
+const NO_EVENTS = [];
+
+// Position of a transport 16th inside a track of `steps` 16ths
+export function trackStep(songStep, steps) {
+  return ((songStep % steps) + steps) % steps;
+}
+
+// events: [{ step, ... }], or a list indexed by step with null for rests.
+// steps: track length in 16ths; omit it for a track that follows the bar.
+export function createTrack({ steps = null, events = [] } = {}) {
+  const byStep = new Map();
+  events.forEach((event, i) => {
+    if (!event) return;
+    const step = event.step ?? i;
+    if (!byStep.has(step)) byStep.set(step, []);
+    byStep.get(step).push(event.step == null ? { ...event, step } : event);
+  });
+  return {
+    steps,
+    events: [...byStep.values()].flat(),
+    // Events on this 16th: songStep from feel.songStep, barStep the 16th within the bar
+    at(songStep, barStep) {
+      const step = steps ? trackStep(songStep, steps) : barStep;
+      return byStep.get(step) || NO_EVENTS;
+    },
+  };
+}
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// 16ths until the given tracks (or lengths) are all back on their first step together
+export function loopSteps(...tracks) {
+  return tracks
+    .map((track) => (typeof track === 'number' ? track : track.steps))
+    .filter((steps) => steps > 0)
+    .reduce((acc, steps) => (acc * steps) / gcd(acc, steps), 1);
+}
@@ -0,0 +1,141 @@
+// Tempo map over absolute tick positions, in the spirit of AudioParam automation:
+// each point fixes the tempo at a tick and says how the tempo got there from the
+// previous point ('jump' holds the old tempo until the point, 'linear' and
+// 'exponential' ramp across the gap). Time <-> tick conversions are closed-form,
+// so events land exactly where the ramp puts them. A ramp's end and a jump can share a
+// tick: the ramp arrives at its tempo and the jump takes over from there.
+
+const EPS = 1e-9;
+
+export const TEMPO_CURVES = ['jump', 'linear', 'exponential'];
+
+export default function createTempoMap(initialBpm, ppq) {
+  let points = [{ tick: 0, bpm: initialBpm, curve: 'jump' }];
+
+  // seconds per tick at a given bpm
+  const tickSec = (bpm) => 60 / (bpm * ppq);
+
+  // Index of the last point at or before tick (0 for ticks before the first point)
+  function pointIndexAt(tick) {
+    let i = 0;
+    while (i + 1 < points.length && points[i + 1].tick <= tick) i++;
+    return i;
+  }
+
+  // Segment starting at points[i]: its length in ticks and tempo shape.
+  // The final point's segment is open-ended at a constant tempo.
+  function segment(i) {
+    const from = points[i];
+    const to = points[i + 1];
+    if (!to) return { start: from.tick, length: Infinity, b0: from.bpm, b1: from.bpm, curve: 'jump' };
+    return { start: from.tick, length: to.tick - from.tick, b0: from.bpm, b1: to.bpm, curve: to.curve };
+  }
+
+  function bpmInSegment(seg, u) {
+    if (seg.curve === 'jump' || seg.length === Infinity) return seg.b0;
+    const x = Math.min(1, Math.max(0, u / seg.length));
+    if (seg.curve === 'exponential') return seg.b0 * Math.pow(seg.b1 / seg.b0, x);
+    return seg.b0 + (seg.b1 - seg.b0) * x;
+  }
+
+  // Seconds from the segment start to u ticks into it
+  function secondsInSegment(seg, u) {
+    if (seg.curve === 'linear') {
+      const k = (seg.b1 - seg.b0) / seg.length;
+      if (Math.abs(k) > EPS) return (60 / (ppq * k)) * Math.log((seg.b0 + k * u) / seg.b0);
+    } else if (seg.curve === 'exponential') {
+      const lnR = Math.log(seg.b1 / seg.b0);
+      if (Math.abs(lnR) > EPS) {
+        return (60 * seg.length / (ppq * seg.b0 * lnR)) * (1 - Math.exp(-lnR * u / seg.length));
+      }
+    }
+    return u * tickSec(seg.b0);
+  }
+
+  // Inverse of secondsInSegment
+  function ticksInSegment(seg, sec) {
+    if (seg.curve === 'linear') {
+      const k = (seg.b1 - seg.b0) / seg.length;
+      if (Math.abs(k) > EPS) return (seg.b0 * Math.exp(sec * ppq * k / 60) - seg.b0) / k;
+    } else if (seg.curve === 'exponential') {
+      const lnR = Math.log(seg.b1 / seg.b0);
+      if (Math.abs(lnR) > EPS) {
+        const rest = 1 - sec * ppq * seg.b0 * lnR / (60 * seg.length);
+        return -seg.length * Math.log(Math.max(EPS, rest)) / lnR;
+      }
+    }
+    return sec / tickSec(seg.b0);
+  }
+
+  function bpmAt(tick) {
+    const i = pointIndexAt(tick);
+    const seg = segment(i);
+    return bpmInSegment(seg, tick - seg.start);
+  }
+
+  // Seconds from tick 0 to tick; ticks before 0 extrapolate at the opening tempo
+  function timeAtTick(tick) {
+    if (tick <= 0) return tick * tickSec(points[0].bpm);
+    let total = 0;
+    for (let i = 0; i < points.length; i++) {
+      const seg = segment(i);
+      if (tick < seg.start + seg.length) return total + secondsInSegment(seg, tick - seg.start);
+      total += secondsInSegment(seg, seg.length);
+    }
+    return total;
+  }
+
+  // Inverse of timeAtTick; may return fractional ticks
+  function tickAtTime(sec) {
+    if (sec <= 0) return sec / tickSec(points[0].bpm);
+    let remaining = sec;
+    for (let i = 0; i < points.length; i++) {
+      const seg = segment(i);
+      const dur = secondsInSegment(seg, seg.length);
+      if (remaining < dur) return seg.start + ticksInSegment(seg, remaining);
+      remaining -= dur;
+    }
+    return points[points.length - 1].tick;
+  }
+
+  const secondsBetween = (fromTick, toTick) => timeAtTick(toTick) - timeAtTick(fromTick);
+
+  const isJump = (p) => p.curve === 'jump';
+
+  // Replaces a point of the same kind at the same tick; a jump sorts after a ramp end
+  function insertPoint(point) {
+    points = points.filter(p => p.tick !== point.tick || isJump(p) !== isJump(point));
+    points.push(point);
+    points.sort((a, b) => a.tick - b.tick || isJump(a) - isJump(b));
+  }
+
+  // Drop all automation and run at one tempo
+  function reset(bpm) {
+    points = [{ tick: 0, bpm, curve: 'jump' }];
+  }
+
+  // Step to bpm at tick; a ramp ending there still arrives first
+  function jumpAt(tick, bpm) {
+    insertPoint({ tick, bpm, curve: 'jump' });
+  }
+
+  // Ramp from whatever the tempo is at fromTick to bpm at toTick
+  function rampTo(bpm, fromTick, toTick, curve = 'linear') {
+    if (!(toTick > fromTick)) { jumpAt(fromTick, bpm); return; }
+    const startBpm = bpmAt(fromTick);
+    points = points.filter(p => p.tick <= fromTick || p.tick > toTick);
+    if (!points.some(p => p.tick === fromTick)) insertPoint({ tick: fromTick, bpm: startBpm, curve: 'jump' });
+    insertPoint({ tick: toTick, bpm, curve: curve === 'exponential' ? 'exponential' : 'linear' });
+  }
+
+  return {
+    bpmAt,
+    timeAtTick,
+    tickAtTime,
+    secondsBetween,
+    reset,
+    jumpAt,
+    rampTo,
+    getPoints: () => points.map(p => ({ ...p })),
+  };
+}